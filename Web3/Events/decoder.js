@@ -0,0 +1,40 @@
+import { ethers } from "ethers";
+import CHAINSPHERE_CONTRACT_ABI from "../ABI/chainsphereABI.json" with { type: "json" };
+
+const contractInterface = new ethers.Interface(CHAINSPHERE_CONTRACT_ABI);
+
+// Decode every log emitted by the sale contract, skipping logs from other
+// contracts (USDT transfers, routers, ...) and events we don't know about.
+export const decodeContractLogs = (logs, contractAddress) => {
+  const decoded = [];
+
+  for (const log of logs) {
+    if (log.address.toLowerCase() !== contractAddress.toLowerCase()) continue;
+
+    let parsed;
+    try {
+      parsed = contractInterface.parseLog({ topics: log.topics, data: log.data });
+    } catch (error) {
+      parsed = null;
+    }
+
+    if (!parsed) continue;
+
+    decoded.push({
+      name: parsed.name,
+      args: parsed.args,
+      logIndex: log.index,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      transactionHash: log.transactionHash,
+    });
+  }
+
+  return decoded;
+};
+
+// Price paid per whole token, in the same base units as the USDT amount.
+export const tokenPriceFromAmounts = (usdtAmount, tokenAmount) => {
+  if (tokenAmount === 0n) return "0";
+  return ((usdtAmount * 10n ** 18n) / tokenAmount).toString();
+};
@@ -0,0 +1,344 @@
+import { ethers } from "ethers";
+import prisma from "../../DB/config.js";
+import { getBlockTime, readContract } from "../Provider/provider.js";
+import { decodeContractLogs, tokenPriceFromAmounts } from "../Events/decoder.js";
+import { phaseOfPurchase } from "../Sale/salePhase.js";
+
+const CURSOR_ID = "chainsphere-events";
+const INDEXED_EVENTS = ["TokenBought", "TokensClaimed", "Transfer"];
+
+// The contract's deployment block; scanning from genesis would take days
+const startBlock = process.env.INDEXER_START_BLOCK
+  ? parseInt(process.env.INDEXER_START_BLOCK)
+  : null;
+const chunkSize = parseInt(process.env.INDEXER_CHUNK_SIZE || "2000");
+const reorgDepth = parseInt(process.env.INDEXER_REORG_DEPTH || "12");
+const pollInterval = parseInt(process.env.INDEXER_POLL_INTERVAL_MS || "15000");
+
+let running = false;
+let timer = null;
+
+// Turn a decoded event into the Transaction columns plus the wallet(s) the
+// row may belong to; rows for wallets no user has bound are skipped.
+const toTransactionRow = (event) => {
+  const { args } = event;
+
+  switch (event.name) {
+    case "TokenBought":
+      return {
+        wallet: args.buyer,
+        data: {
+          amount: args.tokenAmount.toString(),
+          price: tokenPriceFromAmounts(args.usdtAmount, args.tokenAmount),
+          value: args.usdtAmount.toString(),
+          type: "buy",
+          unlockTime: args.unlockTime.toString(),
+        },
+      };
+    case "TokensClaimed":
+      return {
+        wallet: args.buyer,
+        data: {
+          amount: args.amount.toString(),
+          price: "0",
+          value: "0",
+          type: "claim",
+        },
+      };
+    case "Transfer":
+      return {
+        wallets: [args.to, args.from],
+        data: {
+          amount: args.value.toString(),
+          price: "0",
+          value: "0",
+          type: "transfer",
+        },
+      };
+    default:
+      return null;
+  }
+};
+
+const loadCursor = async () => {
+  const cursor = await prisma.indexerCursor.findUnique({
+    where: { id: CURSOR_ID },
+  });
+
+  return cursor ? cursor.lastBlock : startBlock - 1;
+};
+
+// Index one block range and move the cursor to its end in a single database
+// transaction, so a crash never leaves the cursor ahead of the stored rows.
+const indexRange = async (contract, contractAddress, fromBlock, toBlock) => {
+  const topics = INDEXED_EVENTS.map(
+    (name) => contract.interface.getEvent(name).topicHash
+  );
+
+  const logs = await contract.runner.provider.getLogs({
+    address: contractAddress,
+    fromBlock,
+    toBlock,
+    topics: [topics],
+  });
+
+  const events = decodeContractLogs(logs, contractAddress);
+
+  // A buy, a claim or a reward payout also emits a Transfer for the same
+  // tokens; those already have their own row
+  const coveredTxs = new Set(
+    events
+      .filter((event) => event.name !== "Transfer")
+      .map((event) => event.transactionHash)
+  );
+  const transferTxs = events
+    .filter((event) => event.name === "Transfer")
+    .map((event) => event.transactionHash);
+  // A payout re-sent with higher fees may have mined under any of its
+  // hashes, not just the latest one in txHash
+  const payouts = transferTxs.length
+    ? await prisma.payoutJob.findMany({
+        where: {
+          OR: [
+            { txHash: { in: transferTxs } },
+            ...transferTxs.map((hash) => ({
+              txHashes: { path: "$", array_contains: [hash] },
+            })),
+          ],
+        },
+        select: { txHash: true, txHashes: true },
+      })
+    : [];
+  payouts.forEach((job) =>
+    [job.txHash, ...(job.txHashes || [])].forEach((hash) =>
+      coveredTxs.add(hash)
+    )
+  );
+
+  const isDuplicateTransfer = (event) =>
+    event.name === "Transfer" &&
+    (coveredTxs.has(event.transactionHash) ||
+      event.args.from.toLowerCase() === contractAddress.toLowerCase());
+
+  const wallets = new Set();
+  const rows = [];
+  for (const event of events) {
+    if (isDuplicateTransfer(event)) continue;
+    const row = toTransactionRow(event);
+    if (!row) continue;
+    const candidates = (row.wallets || [row.wallet]).filter(
+      (wallet) => wallet !== ethers.ZeroAddress
+    );
+    candidates.forEach((wallet) => wallets.add(wallet.toLowerCase()));
+    rows.push({ event, candidates, data: row.data });
+  }
+
+  const users = wallets.size
+    ? await prisma.user.findMany({
+        where: { walletAddress: { in: [...wallets] } },
+        select: { id: true, walletAddress: true },
+      })
+    : [];
+  const userByWallet = new Map(
+    users.map((user) => [user.walletAddress.toLowerCase(), user.id])
+  );
+
+  const writes = [];
+  for (const { event, candidates, data } of rows) {
+    const userId = candidates
+      .map((wallet) => userByWallet.get(wallet.toLowerCase()))
+      .find(Boolean);
+    if (!userId) continue;
+
+    const chainData = {
+      ...data,
+      status: "confirmed",
+      blockNumber: event.blockNumber,
+      blockHash: event.blockHash,
+      blockTimestamp: await getBlockTime(event.blockNumber),
+    };
+
+    if (event.name === "TokenBought")
+      chainData.salePhase = await phaseOfPurchase(event.args);
+
+    writes.push(
+      prisma.transaction.upsert({
+        where: {
+          transactionHash_logIndex: {
+            transactionHash: event.transactionHash,
+            logIndex: event.logIndex,
+          },
+        },
+        update: chainData,
+        create: {
+          ...chainData,
+          userId,
+          transactionHash: event.transactionHash,
+          logIndex: event.logIndex,
+        },
+      })
+    );
+  }
+
+  const seen = new Set(
+    events
+      .filter((event) => !isDuplicateTransfer(event))
+      .map((event) => `${event.transactionHash}:${event.logIndex}`)
+  );
+
+  // A reorged buy that made it back into the chain at the same log gets its
+  // voided rewards back; the upserts above mark it confirmed again
+  const restored = (
+    events.length
+      ? await prisma.transaction.findMany({
+          where: {
+            status: "reorged",
+            transactionHash: {
+              in: [...new Set(events.map((event) => event.transactionHash))],
+            },
+          },
+          select: { id: true, transactionHash: true, logIndex: true },
+        })
+      : []
+  ).filter((tx) => seen.has(`${tx.transactionHash}:${tx.logIndex}`));
+  if (restored.length)
+    writes.push(
+      prisma.referralReward.updateMany({
+        where: {
+          transactionId: { in: restored.map((tx) => tx.id) },
+          status: "void",
+        },
+        data: { status: "pending" },
+      })
+    );
+
+  // Rows in the re-checked range that the chain no longer returns were
+  // reorged out. They are kept as "reorged" because referral rewards may
+  // point at them; rewards not paid yet are voided and their queued payouts
+  // dropped. Duplicate Transfer rows stored before they were skipped are
+  // deleted. Rows without a real logIndex (reverted buys, payouts) are not
+  // ours.
+  const returned = new Set(
+    events.map((event) => `${event.transactionHash}:${event.logIndex}`)
+  );
+  const stale = (
+    await prisma.transaction.findMany({
+      where: {
+        blockNumber: { gte: fromBlock, lte: toBlock },
+        logIndex: { gte: 0 },
+        status: { not: "reorged" },
+      },
+      select: { id: true, transactionHash: true, logIndex: true },
+    })
+  ).filter((tx) => !seen.has(`${tx.transactionHash}:${tx.logIndex}`));
+  const duplicateIds = stale
+    .filter((tx) => returned.has(`${tx.transactionHash}:${tx.logIndex}`))
+    .map((tx) => tx.id);
+  const reorgedIds = stale
+    .filter((tx) => !returned.has(`${tx.transactionHash}:${tx.logIndex}`))
+    .map((tx) => tx.id);
+
+  if (duplicateIds.length)
+    writes.push(
+      prisma.transaction.deleteMany({ where: { id: { in: duplicateIds } } })
+    );
+
+  if (reorgedIds.length) {
+    console.log(`indexer marking ${reorgedIds.length} transactions reorged`);
+
+    const paid = await prisma.referralReward.count({
+      where: {
+        transactionId: { in: reorgedIds },
+        OR: [
+          { status: "paid" },
+          { payoutJob: { status: { notIn: ["queued", "failed"] } } },
+        ],
+      },
+    });
+    if (paid)
+      console.log(
+        `indexer: ${paid} referral rewards of reorged transactions were already sent`
+      );
+
+    writes.push(
+      prisma.payoutJob.deleteMany({
+        where: {
+          status: { in: ["queued", "failed"] },
+          referralReward: { transactionId: { in: reorgedIds } },
+        },
+      }),
+      prisma.referralReward.updateMany({
+        where: {
+          transactionId: { in: reorgedIds },
+          status: "pending",
+          payoutJob: { is: null },
+        },
+        data: { status: "void" },
+      }),
+      prisma.transaction.updateMany({
+        where: { id: { in: reorgedIds } },
+        data: { status: "reorged" },
+      })
+    );
+  }
+
+  writes.push(
+    prisma.indexerCursor.upsert({
+      where: { id: CURSOR_ID },
+      update: { lastBlock: toBlock },
+      create: { id: CURSOR_ID, lastBlock: toBlock },
+    })
+  );
+
+  await prisma.$transaction(writes);
+};
+
+export const runIndexerOnce = async () => {
+  if (startBlock === null)
+    throw new Error(`INDEXER_START_BLOCK must be set to the deployment block`);
+
+  const contract = readContract();
+  const contractAddress = await contract.getAddress();
+  const head = await contract.runner.provider.getBlockNumber();
+
+  const cursor = await loadCursor();
+
+  // Re-check the last reorgDepth blocks we already indexed on every pass
+  let fromBlock = Math.max(startBlock, cursor + 1 - reorgDepth);
+
+  while (fromBlock <= head) {
+    const toBlock = Math.min(fromBlock + chunkSize - 1, head);
+    await indexRange(contract, contractAddress, fromBlock, toBlock);
+    console.log(`indexer processed blocks ${fromBlock} - ${toBlock}`);
+    fromBlock = toBlock + 1;
+  }
+};
+
+const tick = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    await runIndexerOnce();
+  } catch (error) {
+    console.log(`error while indexing contract events ${error.message}`);
+  } finally {
+    running = false;
+    if (timer) timer = setTimeout(tick, pollInterval);
+  }
+};
+
+export const startIndexer = () => {
+  if (timer) return;
+  if (startBlock === null) {
+    console.log(`contract event indexer not started: INDEXER_START_BLOCK is not set`);
+    return;
+  }
+  console.log(`contract event indexer starting from block ${startBlock}`);
+  timer = setTimeout(tick, 0);
+};
+
+export const stopIndexer = () => {
+  clearTimeout(timer);
+  timer = null;
+};
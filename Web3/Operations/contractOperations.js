@@ -0,0 +1,193 @@
+import Joi from "joi";
+import { ethers } from "ethers";
+import prisma from "../../DB/config.js";
+import { contractInstance, getProvider } from "../Provider/provider.js";
+import { SIGNER_PURPOSES } from "../Signer/signer.js";
+import { nextNonce, withSendLock } from "../Signer/sendLock.js";
+import { FATAL_BROADCAST_ERRORS } from "../Payout/payoutQueue.js";
+
+// Owner-only contract functions admins may run through a proposal. `params`
+// validates what the proposer sends, `toArgs` turns it into call arguments.
+const unixSeconds = (date) =>
+  BigInt(Math.floor(new Date(date).getTime() / 1000));
+
+export const CONTRACT_OPERATIONS = {
+  setSalePhase: {
+    params: Joi.object({
+      phase: Joi.number().integer().min(0).max(255).required(),
+    }),
+    toArgs: ({ phase }) => [phase],
+  },
+  setLockingPeriod: {
+    params: Joi.object({
+      phase: Joi.number().integer().min(0).max(255).required(),
+      periodSeconds: Joi.number().integer().min(0).required(),
+    }),
+    toArgs: ({ phase, periodSeconds }) => [phase, BigInt(periodSeconds)],
+  },
+  setStartTime: {
+    params: Joi.object({ startTime: Joi.date().iso().required() }),
+    toArgs: ({ startTime }) => [unixSeconds(startTime)],
+  },
+  setEndTime: {
+    params: Joi.object({ endTime: Joi.date().iso().required() }),
+    toArgs: ({ endTime }) => [unixSeconds(endTime)],
+  },
+  Pause: { params: Joi.object({}), toArgs: () => [] },
+  WithdrawUSDT: { params: Joi.object({}), toArgs: () => [] },
+  withdrawBNB: { params: Joi.object({}), toArgs: () => [] },
+};
+
+const errorMessage = (error) =>
+  error.shortMessage || error.reason || error.message;
+
+// Dry-run the call as the owner signer. Returns { ok: true } or
+// { ok: false, error } with the revert reason.
+export const simulateOperation = async (method, params) => {
+  const contract = await contractInstance(SIGNER_PURPOSES.OWNER);
+  const args = CONTRACT_OPERATIONS[method].toArgs(params);
+
+  try {
+    await contract[method].staticCall(...args);
+    return { ok: true };
+  } catch (error) {
+    return { ok: false, error: errorMessage(error) };
+  }
+};
+
+const recordReceipt = (proposal, receipt) =>
+  prisma.contractProposal.update({
+    where: { id: proposal.id },
+    data: {
+      status: receipt.status === 1 ? "executed" : "failed",
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString(),
+      error: receipt.status === 1 ? null : `transaction reverted`,
+      executedAt: new Date(),
+    },
+  });
+
+const markFailed = (proposal, error) =>
+  prisma.contractProposal.update({
+    where: { id: proposal.id },
+    data: { status: "failed", error },
+  });
+
+const watchReceipt = (proposal) =>
+  getProvider()
+    .waitForTransaction(proposal.txHash)
+    .then((receipt) => receipt && recordReceipt(proposal, receipt))
+    .catch((error) =>
+      console.log(
+        `error while waiting for proposal ${proposal.id} ${errorMessage(error)}`
+      )
+    );
+
+// Send an approved proposal with the owner signer. The signed transaction and
+// its hash are stored before it is broadcast, so whatever happens to the
+// broadcast the outcome is read from the chain, never guessed.
+export const submitOperation = async (proposal) => {
+  const contract = await contractInstance(SIGNER_PURPOSES.OWNER);
+  const signer = contract.runner;
+  const provider = getProvider();
+  const address = await signer.getAddress();
+  const args = CONTRACT_OPERATIONS[proposal.method].toArgs(proposal.params);
+
+  const submitted = await withSendLock(address, async () => {
+    let rawTransaction;
+    let nonce;
+    try {
+      nonce = await nextNonce(provider, address);
+      const tx = await signer.populateTransaction({
+        ...(await contract[proposal.method].populateTransaction(...args)),
+        nonce,
+      });
+      rawTransaction = await signer.signTransaction(tx);
+    } catch (error) {
+      // Nothing was signed, so nothing can be on chain
+      return markFailed(proposal, errorMessage(error));
+    }
+
+    const recorded = await prisma.contractProposal.update({
+      where: { id: proposal.id },
+      data: {
+        status: "submitted",
+        signerAddress: address,
+        nonce,
+        rawTransaction,
+        txHash: ethers.Transaction.from(rawTransaction).hash,
+        submittedAt: new Date(),
+      },
+    });
+
+    try {
+      await provider.broadcastTransaction(rawTransaction);
+    } catch (error) {
+      // Only a rejection the node is sure about means the transaction can
+      // never be mined; anything else is settled by refreshProposalOutcome
+      if (
+        FATAL_BROADCAST_ERRORS.includes(error.code) &&
+        !(await provider.getTransaction(recorded.txHash))
+      ) {
+        await signer.releaseSpend(nonce);
+        return prisma.contractProposal.update({
+          where: { id: proposal.id },
+          data: { status: "failed", nonce: null, error: errorMessage(error) },
+        });
+      }
+
+      console.log(
+        `proposal ${proposal.id} broadcast will be retried ${errorMessage(error)}`
+      );
+    }
+
+    await signer.confirmSpend(nonce);
+    return recorded;
+  });
+
+  if (submitted.status === "submitted") watchReceipt(submitted);
+
+  return submitted;
+};
+
+// Settle a submitted proposal whose receipt was not seen (e.g. server
+// restart or a failed broadcast): record the receipt, send the stored
+// transaction again if the node forgot it, or fail it when its nonce was
+// used by another transaction.
+export const refreshProposalOutcome = async (proposal) => {
+  if (proposal.status !== "submitted" || !proposal.txHash) return proposal;
+
+  const provider = getProvider();
+  const receipt = await provider.getTransactionReceipt(proposal.txHash);
+
+  if (receipt) return recordReceipt(proposal, receipt);
+  if (!proposal.rawTransaction) return proposal;
+
+  const mined = await provider.getTransactionCount(
+    proposal.signerAddress,
+    "latest"
+  );
+
+  if (proposal.nonce < mined) {
+    // The receipt may have arrived between the two reads
+    const late = await provider.getTransactionReceipt(proposal.txHash);
+    if (late) return recordReceipt(proposal, late);
+
+    return markFailed(
+      proposal,
+      `nonce ${proposal.nonce} was used by another transaction`
+    );
+  }
+
+  if (!(await provider.getTransaction(proposal.txHash))) {
+    try {
+      await provider.broadcastTransaction(proposal.rawTransaction);
+    } catch (error) {
+      console.log(
+        `error while re-sending proposal ${proposal.id} ${errorMessage(error)}`
+      );
+    }
+  }
+
+  return proposal;
+};
@@ -0,0 +1,564 @@
+import { ethers } from "ethers";
+import { Prisma } from "@prisma/client";
+import prisma from "../../DB/config.js";
+import { contractInstance, getBlockTime } from "../Provider/provider.js";
+import { SIGNER_PURPOSES } from "../Signer/signer.js";
+import { nextNonce, withSendLock } from "../Signer/sendLock.js";
+
+const pollInterval = parseInt(process.env.PAYOUT_POLL_INTERVAL_MS || "5000");
+const confirmTimeout = parseInt(
+  process.env.PAYOUT_CONFIRM_TIMEOUT_MS || "120000"
+);
+const feeBumpPercent = BigInt(process.env.PAYOUT_FEE_BUMP_PERCENT || "20");
+const maxFeeBumps = parseInt(process.env.PAYOUT_MAX_FEE_BUMPS || "3");
+// Blocks a job's nonce must have been used for before a missing receipt means
+// another transaction took it
+const replacedConfirmations = parseInt(
+  process.env.PAYOUT_REPLACED_CONFIRMATIONS || "12"
+);
+
+// Errors from the node that mean the transaction will never be accepted as
+// signed. Anything else (timeouts, dropped connections) is retried.
+export const FATAL_BROADCAST_ERRORS = [
+  "INSUFFICIENT_FUNDS",
+  "NONCE_EXPIRED",
+  "REPLACEMENT_UNDERPRICED",
+];
+
+// Errors while preparing a transaction that come from the node being
+// unreachable or slow; the job stays queued and is tried again next tick
+const RETRYABLE_SIGN_ERRORS = ["NETWORK_ERROR", "TIMEOUT", "SERVER_ERROR"];
+
+let running = false;
+let timer = null;
+
+// Extra database writes to run together with marking a job confirmed, keyed
+// by job kind
+const onConfirmed = {
+  referral_reward: async (job, receipt) => {
+    const reward = await prisma.referralReward.findUnique({
+      where: { id: job.referralRewardId },
+      include: { transaction: true },
+    });
+
+    return [
+      prisma.referralReward.update({
+        where: { id: reward.id },
+        data: { status: "paid", payoutTxHash: receipt.hash },
+      }),
+      prisma.transaction.create({
+        data: {
+          userId: reward.beneficiaryId,
+          transactionHash: receipt.hash,
+          amount: "0",
+          price: reward.transaction.price,
+          value: reward.amount,
+          status: "completed",
+          type: "reward",
+          blockNumber: receipt.blockNumber,
+          blockHash: receipt.blockHash,
+          blockTimestamp: await getBlockTime(receipt.blockNumber),
+        },
+      }),
+    ];
+  },
+  staking_reward: async (job, receipt) => {
+    const reward = await prisma.stakingReward.findUnique({
+      where: { id: job.stakingRewardId },
+    });
+    // The contract starts the lock when the transfer is mined
+    const minedAt = await getBlockTime(receipt.blockNumber);
+
+    return [
+      prisma.stakingReward.update({
+        where: { id: reward.id },
+        data: {
+          status: "paid",
+          txHash: receipt.hash,
+          unlockAt: new Date(minedAt.getTime() + reward.lockTime * 1000),
+        },
+      }),
+      prisma.transaction.create({
+        data: {
+          userId: reward.userId,
+          transactionHash: receipt.hash,
+          amount: "0",
+          price: "0",
+          value: reward.amount,
+          status: "completed",
+          type: "reward",
+          blockNumber: receipt.blockNumber,
+          blockHash: receipt.blockHash,
+          blockTimestamp: minedAt,
+          unlockTime: String(
+            Math.floor(minedAt.getTime() / 1000) + reward.lockTime
+          ),
+        },
+      }),
+    ];
+  },
+};
+
+const jobArgs = (job) =>
+  job.method === "TransferRewards"
+    ? [job.recipient, BigInt(job.amount), BigInt(job.lockTime)]
+    : [job.recipient, BigInt(job.amount)];
+
+// `client` lets callers create the job inside their own prisma transaction
+export const enqueuePayout = async (
+  { kind, method = "transfer", recipient, amount, lockTime, ...links },
+  client = prisma
+) => {
+  if (!ethers.isAddress(recipient)) {
+    throw new Error(`invalid payout recipient ${recipient}`);
+  }
+
+  return client.payoutJob.create({
+    data: {
+      kind,
+      method,
+      recipient,
+      amount: amount.toString(),
+      lockTime: lockTime === undefined ? null : lockTime.toString(),
+      ...links,
+    },
+  });
+};
+
+// Queue many payouts at once. Jobs that would duplicate an existing one (same
+// linked reward) are skipped, so a batch can be queued again safely.
+export const enqueuePayouts = async (jobs, client = prisma) => {
+  const invalid = jobs.find((job) => !ethers.isAddress(job.recipient));
+  if (invalid) throw new Error(`invalid payout recipient ${invalid.recipient}`);
+
+  const { count } = await client.payoutJob.createMany({
+    data: jobs.map(
+      ({ kind, method = "transfer", recipient, amount, lockTime, ...links }) => ({
+        kind,
+        method,
+        recipient,
+        amount: amount.toString(),
+        lockTime: lockTime === undefined ? null : lockTime.toString(),
+        ...links,
+      })
+    ),
+    skipDuplicates: true,
+  });
+
+  return count;
+};
+
+// Queue payouts for referral rewards that were left pending because the
+// beneficiary had no wallet or approved KYC when the purchase was claimed.
+// Runs on every worker tick, so rewards are paid soon after the beneficiary
+// binds a wallet or passes KYC.
+export const queuePendingReferralRewards = async ({ take = 100 } = {}) => {
+  const rewards = await prisma.referralReward.findMany({
+    where: {
+      status: "pending",
+      payoutJob: { is: null },
+      transaction: { status: "confirmed" },
+      beneficiary: { walletAddress: { not: null }, kycStatus: "approved" },
+    },
+    include: { beneficiary: { select: { walletAddress: true } } },
+    orderBy: { id: "asc" },
+    take,
+  });
+
+  if (!rewards.length) return 0;
+
+  return enqueuePayouts(
+    rewards.map((reward) => ({
+      kind: "referral_reward",
+      recipient: reward.beneficiary.walletAddress,
+      amount: reward.amount,
+      referralRewardId: reward.id,
+    }))
+  );
+};
+
+// Put a failed or replaced job back in the queue. It gets a fresh nonce.
+export const retryPayoutJob = async (id) => {
+  const job = await prisma.payoutJob.findUnique({ where: { id } });
+
+  if (!job || !["failed", "replaced"].includes(job.status)) return null;
+
+  return prisma.payoutJob.update({
+    where: { id },
+    data: {
+      status: "queued",
+      nonce: null,
+      gasLimit: null,
+      gasPrice: null,
+      maxFeePerGas: null,
+      maxPriorityFeePerGas: null,
+      txHash: null,
+      txHashes: Prisma.DbNull,
+      rawTransaction: null,
+      lastError: null,
+      submittedAt: null,
+    },
+  });
+};
+
+const bumpFee = (value) =>
+  value ? ((BigInt(value) * (100n + feeBumpPercent)) / 100n).toString() : null;
+
+const currentFees = async (provider) => {
+  const feeData = await provider.getFeeData();
+
+  if (feeData.maxFeePerGas) {
+    return {
+      gasPrice: null,
+      maxFeePerGas: feeData.maxFeePerGas.toString(),
+      maxPriorityFeePerGas: feeData.maxPriorityFeePerGas.toString(),
+    };
+  }
+
+  return {
+    gasPrice: feeData.gasPrice.toString(),
+    maxFeePerGas: null,
+    maxPriorityFeePerGas: null,
+  };
+};
+
+// Sign the job's contract call with an explicit nonce and fees. Gas is
+// estimated on the first attempt, which also catches calls that would revert.
+const signJobTransaction = async (contract, job, fees) => {
+  const wallet = contract.runner;
+  const request = await contract[job.method].populateTransaction(
+    ...jobArgs(job)
+  );
+
+  const feeFields = fees.gasPrice
+    ? { type: 0, gasPrice: fees.gasPrice }
+    : {
+        type: 2,
+        maxFeePerGas: fees.maxFeePerGas,
+        maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
+      };
+
+  const tx = await wallet.populateTransaction({
+    ...request,
+    ...feeFields,
+    nonce: job.nonce,
+    gasLimit: job.gasLimit ?? undefined,
+  });
+
+  const rawTransaction = await wallet.signTransaction(tx);
+
+  return {
+    rawTransaction,
+    hash: ethers.Transaction.from(rawTransaction).hash,
+    gasLimit: tx.gasLimit.toString(),
+  };
+};
+
+const broadcast = async (provider, job, rawTransaction) => {
+  try {
+    await provider.broadcastTransaction(rawTransaction);
+    return true;
+  } catch (error) {
+    if (!FATAL_BROADCAST_ERRORS.includes(error.code)) {
+      console.log(`payout job ${job.id} broadcast will be retried ${error.message}`);
+      return true;
+    }
+    console.log(`payout job ${job.id} broadcast rejected ${error.message}`);
+    return false;
+  }
+};
+
+// Sign and broadcast queued jobs while holding the key's send lock, so a
+// contract operation sent with the same key cannot take the same nonces
+const submitQueued = async (contract) => {
+  const provider = contract.runner.provider;
+  const jobs = await prisma.payoutJob.findMany({
+    where: { status: "queued" },
+    orderBy: { id: "asc" },
+    take: 10,
+  });
+
+  if (!jobs.length) return;
+
+  const address = await contract.runner.getAddress();
+  await withSendLock(address, () =>
+    submitJobs(contract, provider, address, jobs)
+  );
+};
+
+const submitJobs = async (contract, provider, address, jobs) => {
+  let nonce = await nextNonce(provider, address);
+
+  for (const job of jobs) {
+    let signed;
+    let fees;
+
+    try {
+      fees = await currentFees(provider);
+      signed = await signJobTransaction(contract, { ...job, nonce }, fees);
+    } catch (error) {
+      // Jobs stay queued until the key's daily allowance frees up
+      if (error.code === "SPENDING_LIMIT_EXCEEDED") {
+        console.log(`payout job ${job.id} waiting: ${error.message}`);
+        break;
+      }
+
+      if (RETRYABLE_SIGN_ERRORS.includes(error.code)) {
+        console.log(`payout job ${job.id} will be retried ${error.message}`);
+        await prisma.payoutJob.update({
+          where: { id: job.id },
+          data: { lastError: error.message },
+        });
+        break;
+      }
+
+      await prisma.payoutJob.update({
+        where: { id: job.id },
+        data: { status: "failed", lastError: error.message },
+      });
+      continue;
+    }
+
+    // Record the signed transaction before broadcasting so a crash in between
+    // can be recovered by re-sending it
+    await prisma.payoutJob.update({
+      where: { id: job.id },
+      data: {
+        ...fees,
+        status: "submitted",
+        signerAddress: address,
+        nonce,
+        gasLimit: signed.gasLimit,
+        txHash: signed.hash,
+        txHashes: [signed.hash],
+        rawTransaction: signed.rawTransaction,
+        attempts: { increment: 1 },
+        lastError: null,
+        submittedAt: new Date(),
+      },
+    });
+
+    if (await broadcast(provider, job, signed.rawTransaction)) {
+      await contract.runner.confirmSpend(nonce);
+      nonce += 1;
+    } else {
+      await contract.runner.releaseSpend(nonce);
+      await prisma.payoutJob.update({
+        where: { id: job.id },
+        data: {
+          status: "failed",
+          nonce: null,
+          lastError: `broadcast rejected`,
+        },
+      });
+      nonce = await nextNonce(provider, address);
+    }
+  }
+};
+
+const isReplaced = async (provider, job, hashes) => {
+  const head = await provider.getBlockNumber();
+  const usedNonces = await provider.getTransactionCount(
+    job.signerAddress,
+    Math.max(0, head - replacedConfirmations)
+  );
+  if (job.nonce >= usedNonces) return false;
+
+  const required = Math.min(2, provider.endpoints.length);
+  for (const hash of hashes) {
+    const answers = await provider.sendToEach("eth_getTransactionReceipt", [
+      hash,
+    ]);
+    if (answers.length < required || answers.some(Boolean)) return false;
+  }
+
+  return true;
+};
+
+const resolveMined = async (provider, job) => {
+  const hashes = job.txHashes || [job.txHash];
+  let receipt = null;
+
+  for (const hash of hashes) {
+    receipt = await provider.getTransactionReceipt(hash);
+    if (receipt) break;
+  }
+
+  // A replaced job can be retried by an admin, so a receipt missing from one
+  // lagging node must not mark it replaced. Wait until the nonce has been used
+  // for replacedConfirmations blocks and no endpoint knows any of its hashes.
+  if (!receipt && !(await isReplaced(provider, job, hashes))) return;
+
+  if (!receipt) {
+    await prisma.payoutJob.update({
+      where: { id: job.id },
+      data: {
+        status: "replaced",
+        lastError: `nonce ${job.nonce} was used by another transaction`,
+      },
+    });
+    return;
+  }
+
+  if (receipt.status !== 1) {
+    await prisma.payoutJob.update({
+      where: { id: job.id },
+      data: {
+        status: "failed",
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        lastError: `transaction reverted`,
+      },
+    });
+    return;
+  }
+
+  const sideEffects = onConfirmed[job.kind]
+    ? await onConfirmed[job.kind](job, receipt)
+    : [];
+
+  await prisma.$transaction([
+    prisma.payoutJob.update({
+      where: { id: job.id },
+      data: {
+        status: "confirmed",
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        confirmedAt: new Date(),
+      },
+    }),
+    ...sideEffects,
+  ]);
+};
+
+const bumpJob = async (contract, job) => {
+  const fees = {
+    gasPrice: bumpFee(job.gasPrice),
+    maxFeePerGas: bumpFee(job.maxFeePerGas),
+    maxPriorityFeePerGas: bumpFee(job.maxPriorityFeePerGas),
+  };
+  const signed = await signJobTransaction(contract, job, fees);
+
+  await prisma.payoutJob.update({
+    where: { id: job.id },
+    data: {
+      ...fees,
+      txHash: signed.hash,
+      txHashes: [...(job.txHashes || [job.txHash]), signed.hash],
+      rawTransaction: signed.rawTransaction,
+      attempts: { increment: 1 },
+      submittedAt: new Date(),
+    },
+  });
+
+  console.log(`payout job ${job.id} re-sent with higher fees as ${signed.hash}`);
+  // A rejected replacement leaves the original pending, so its spend stays
+  // reserved
+  if (await broadcast(contract.runner.provider, job, signed.rawTransaction))
+    await contract.runner.confirmSpend(job.nonce);
+};
+
+// Settle one submitted job: record its outcome once its nonce is used,
+// re-send it if the node forgot it and, when `canBump`, replace it with higher
+// fees if it is stuck
+const checkJob = async (contract, job, minedCount, canBump) => {
+  const provider = contract.runner.provider;
+
+  if (job.nonce < minedCount) {
+    await resolveMined(provider, job);
+    return;
+  }
+
+  if (!(await provider.getTransaction(job.txHash))) {
+    await broadcast(provider, job, job.rawTransaction);
+  }
+
+  const waited = Date.now() - job.submittedAt.getTime();
+  if (canBump && waited > confirmTimeout && job.attempts <= maxFeeBumps) {
+    await bumpJob(contract, job);
+  }
+};
+
+const checkSubmitted = async (contract) => {
+  const provider = contract.runner.provider;
+  const address = await contract.runner.getAddress();
+
+  // Jobs submitted before the signing key was recorded were sent with it
+  await prisma.payoutJob.updateMany({
+    where: { status: "submitted", signerAddress: null },
+    data: { signerAddress: address },
+  });
+
+  const ownJobs = await prisma.payoutJob.findMany({
+    where: { status: "submitted", signerAddress: address },
+    orderBy: { nonce: "asc" },
+  });
+  // Jobs signed by a key that has since been rotated out are compared with
+  // that key's nonces and never re-signed: only their own transaction, or
+  // another one from the old key, can use their nonce
+  const rotatedJobs = await prisma.payoutJob.findMany({
+    where: { status: "submitted", signerAddress: { not: address } },
+    orderBy: { nonce: "asc" },
+  });
+
+  const minedCounts = new Map();
+  for (const job of [...ownJobs, ...rotatedJobs]) {
+    try {
+      if (!minedCounts.has(job.signerAddress))
+        minedCounts.set(
+          job.signerAddress,
+          await provider.getTransactionCount(job.signerAddress, "latest")
+        );
+
+      await checkJob(
+        contract,
+        job,
+        minedCounts.get(job.signerAddress),
+        job.signerAddress === address
+      );
+    } catch (error) {
+      // One bad job must not hold up the others or new submissions
+      console.log(`error while checking payout job ${job.id} ${error.message}`);
+      await prisma.payoutJob.update({
+        where: { id: job.id },
+        data: { lastError: error.message },
+      });
+    }
+  }
+};
+
+const tick = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    const contract = await contractInstance(SIGNER_PURPOSES.PAYOUT);
+
+    await checkSubmitted(contract);
+
+    try {
+      await queuePendingReferralRewards();
+    } catch (error) {
+      console.log(`error while queueing pending referral rewards ${error.message}`);
+    }
+
+    await submitQueued(contract);
+  } catch (error) {
+    console.log(`error while processing payout jobs ${error.message}`);
+  } finally {
+    running = false;
+    if (timer) timer = setTimeout(tick, pollInterval);
+  }
+};
+
+// Only one worker may sign for a key, so enable it on a single process
+export const startPayoutWorker = () => {
+  if (timer) return;
+  console.log(`payout worker started`);
+  timer = setTimeout(tick, 0);
+};
+
+export const stopPayoutWorker = () => {
+  clearTimeout(timer);
+  timer = null;
+};
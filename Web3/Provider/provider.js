@@ -1,30 +1,80 @@
 import { ethers } from "ethers";
 import CHAINSPHERE_CONTRACT_ABI from "../ABI/chainsphereABI.json"  with { type: "json" };
+import { FailoverProvider, parseRpcEndpoints } from "./rpcPool.js";
+import { getSigner, SIGNER_PURPOSES } from "../Signer/signer.js";
 
 
 
 const address = process.env.CONTRACT_ADDRESS
-const privateKey = process.env.PRIVATE_KEY
-
-
-
-// console.log(`addresss ------------->`, CHAINSPHERE_CONTRACT_ABI);
-// console.log(`privateKey ------------->`, privateKey);
-
-export const contractInstance = async () => {
-    try {
-      const wallet = new ethers.Wallet(privateKey);
-      const provider = new ethers.JsonRpcProvider(
-        process.env.INFURA_PROVIDER_URL
-      );
-      const connectedWallet = wallet.connect(provider);
-      const contract = new ethers.Contract(address, CHAINSPHERE_CONTRACT_ABI, connectedWallet);
-  
-      return contract;
-    } catch (error) {
-      console.log(error);
-      return res
-        .status(501)
-        .json(new ApiResponse(500, error, `Internal server error`));
-    }
-};
\ No newline at end of file
+
+let provider = null;
+let readOnlyContract = null;
+const signerContracts = new Map();
+
+// One provider per process, shared by every contract instance
+export const getProvider = () => {
+  if (!provider) {
+    provider = new FailoverProvider(
+      parseRpcEndpoints(),
+      process.env.CHAIN_ID ? parseInt(process.env.CHAIN_ID) : undefined,
+      {
+        quorum: parseInt(process.env.RPC_QUORUM || "1"),
+        maxBlockLag: parseInt(process.env.RPC_MAX_BLOCK_LAG || "5"),
+        maxLatencyMs: parseInt(process.env.RPC_MAX_LATENCY_MS || "3000"),
+        timeoutMs: parseInt(process.env.RPC_TIMEOUT_MS || "10000"),
+        healthIntervalMs: parseInt(
+          process.env.RPC_HEALTH_INTERVAL_MS || "15000"
+        ),
+      }
+    );
+    provider.startHealthChecks();
+  }
+
+  return provider;
+};
+
+export const getRpcStatus = () => getProvider().status();
+
+// Timestamps of recently seen blocks; a block's time never changes once mined
+const blockTimes = new Map();
+const BLOCK_TIME_CACHE_SIZE = 1000;
+
+// When a block was mined, as a Date
+export const getBlockTime = async (blockNumber) => {
+  if (!blockTimes.has(blockNumber)) {
+    const block = await getProvider().getBlock(blockNumber);
+    if (!block) throw new Error(`block ${blockNumber} not found`);
+
+    if (blockTimes.size >= BLOCK_TIME_CACHE_SIZE)
+      blockTimes.delete(blockTimes.keys().next().value);
+    blockTimes.set(blockNumber, new Date(block.timestamp * 1000));
+  }
+
+  return blockTimes.get(blockNumber);
+};
+
+// For views and receipts; does not need PRIVATE_KEY
+export const readContract = () => {
+  if (!readOnlyContract)
+    readOnlyContract = new ethers.Contract(
+      address,
+      CHAINSPHERE_CONTRACT_ABI,
+      getProvider()
+    );
+
+  return readOnlyContract;
+};
+
+// Contract connected to the backend key for `purpose`, for transactions and
+// for calls that depend on msg.sender
+export const contractInstance = async (purpose = SIGNER_PURPOSES.OWNER) => {
+  if (!signerContracts.has(purpose)) {
+    const signer = await getSigner(purpose);
+    signerContracts.set(
+      purpose,
+      new ethers.Contract(address, CHAINSPHERE_CONTRACT_ABI, signer)
+    );
+  }
+
+  return signerContracts.get(purpose);
+};
@@ -0,0 +1,387 @@
+import { ethers } from "ethers";
+
+// JSON-RPC provider over several endpoints. Requests go to the healthiest
+// endpoint by priority and fail over to the next one when an endpoint cannot
+// be reached. Reads listed in QUORUM_METHODS must get `quorum` identical
+// answers. Endpoints are health-checked in the background for block lag and
+// latency.
+
+const QUORUM_METHODS = new Set([
+  "eth_call",
+  "eth_getBalance",
+  "eth_getCode",
+  "eth_getStorageAt",
+]);
+
+// Node answers to resending a transaction they already have
+const ALREADY_KNOWN = /already known|known transaction|already imported/i;
+
+// Strip credentials and API keys so the URL can be shown to admins
+const maskUrl = (url) => {
+  try {
+    const { protocol, host } = new URL(url);
+    return `${protocol}//${host}`;
+  } catch {
+    return "invalid url";
+  }
+};
+
+// RPC_ENDPOINTS="https://a.example|1,https://b.example|2" where a lower
+// number is preferred. Falls back to INFURA_PROVIDER_URL.
+export const parseRpcEndpoints = (
+  value = process.env.RPC_ENDPOINTS,
+  fallback = process.env.INFURA_PROVIDER_URL
+) => {
+  const entries = (value || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry, index) => {
+      const [url, priority] = entry.split("|");
+      return {
+        url: url.trim(),
+        priority: parseInt(priority) || index + 1,
+      };
+    });
+
+  if (!entries.length && fallback) entries.push({ url: fallback, priority: 1 });
+
+  return entries;
+};
+
+export class FailoverProvider extends ethers.JsonRpcProvider {
+  constructor(
+    endpoints,
+    network,
+    {
+      quorum = 1,
+      maxBlockLag = 5,
+      maxLatencyMs = 3000,
+      timeoutMs = 10000,
+      healthIntervalMs = 15000,
+    } = {}
+  ) {
+    if (!endpoints.length) throw new Error("No RPC endpoints configured");
+
+    // One request per _send keeps failover and quorum per call
+    super(undefined, network, {
+      batchMaxCount: 1,
+      staticNetwork: network ? ethers.Network.from(network) : undefined,
+    });
+
+    this.endpoints = endpoints.map(({ url, priority }, index) => ({
+      id: index + 1,
+      url,
+      label: maskUrl(url),
+      priority,
+      healthy: true,
+      blockNumber: null,
+      lag: null,
+      latencyMs: null,
+      chainId: null,
+      consecutiveFailures: 0,
+      lastError: null,
+      lastCheckedAt: null,
+    }));
+    this.quorum = Math.min(quorum, this.endpoints.length);
+    this.maxBlockLag = maxBlockLag;
+    this.maxLatencyMs = maxLatencyMs;
+    this.timeoutMs = timeoutMs;
+    this.healthIntervalMs = healthIntervalMs;
+    this.expectedChainId = network ? BigInt(network) : null;
+    this.healthTimer = null;
+  }
+
+  // One JSON-RPC round trip to a single endpoint. Transport failures and
+  // non-2xx responses throw; JSON-RPC errors are returned as answers.
+  async #request(endpoint, payload) {
+    const request = new ethers.FetchRequest(endpoint.url);
+    request.timeout = this.timeoutMs;
+    request.body = JSON.stringify(payload);
+    request.setHeader("content-type", "application/json");
+
+    const startedAt = Date.now();
+    const response = await request.send();
+    response.assertOk();
+
+    const body = response.bodyJson;
+    return {
+      response: Array.isArray(body) ? body[0] : body,
+      latencyMs: Date.now() - startedAt,
+    };
+  }
+
+  #markFailure(endpoint, error) {
+    endpoint.consecutiveFailures += 1;
+    endpoint.healthy = false;
+    endpoint.lastError = error.shortMessage || error.message;
+  }
+
+  #markSuccess(endpoint) {
+    endpoint.consecutiveFailures = 0;
+  }
+
+  // Healthy endpoints by priority, then latency; unhealthy ones are kept as a
+  // last resort so a bad health check never leaves us with nothing
+  orderedEndpoints() {
+    const byPreference = (a, b) =>
+      a.priority - b.priority ||
+      (a.latencyMs ?? Infinity) - (b.latencyMs ?? Infinity);
+
+    return [
+      ...this.endpoints
+        .filter((endpoint) => endpoint.healthy)
+        .sort(byPreference),
+      ...this.endpoints
+        .filter((endpoint) => !endpoint.healthy)
+        .sort(byPreference),
+    ];
+  }
+
+  // Whether `endpoint` already has the transaction, i.e. an earlier endpoint
+  // accepted it before the connection failed
+  async #knowsTransaction(endpoint, hash) {
+    const { response } = await this.#request(endpoint, {
+      id: 1,
+      jsonrpc: "2.0",
+      method: "eth_getTransactionByHash",
+      params: [hash],
+    });
+    return !("error" in response) && response.result !== null;
+  }
+
+  async #failoverSend(payload) {
+    // A broadcast that timed out may still have reached the network, so
+    // before resending a raw transaction check whether it is already known
+    // and answer with its hash instead
+    const hash =
+      payload.method === "eth_sendRawTransaction"
+        ? ethers.keccak256(payload.params[0])
+        : null;
+    let lastError;
+
+    for (const endpoint of this.orderedEndpoints()) {
+      try {
+        if (
+          hash &&
+          lastError &&
+          (await this.#knowsTransaction(endpoint, hash))
+        ) {
+          this.#markSuccess(endpoint);
+          return { jsonrpc: "2.0", result: hash };
+        }
+
+        const { response } = await this.#request(endpoint, payload);
+        this.#markSuccess(endpoint);
+
+        // It propagated between the check and the resend
+        if (hash && lastError && ALREADY_KNOWN.test(response.error?.message))
+          return { jsonrpc: "2.0", result: hash };
+
+        return response;
+      } catch (error) {
+        this.#markFailure(endpoint, error);
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+
+  // Ask endpoints in order of preference until `quorum` of them give the same
+  // answer. "latest" is pinned to the lowest head among the healthy endpoints
+  // so nodes a block apart still agree.
+  async #quorumSend(payload) {
+    const candidates = this.orderedEndpoints();
+    const params = [...payload.params];
+
+    const heads = candidates
+      .filter((endpoint) => endpoint.healthy && endpoint.blockNumber !== null)
+      .map((endpoint) => endpoint.blockNumber);
+    if (params[params.length - 1] === "latest" && heads.length)
+      params[params.length - 1] = ethers.toQuantity(Math.min(...heads));
+
+    const pinned = { ...payload, params };
+    const answers = new Map();
+    let lastError;
+
+    for (let start = 0; start < candidates.length;) {
+      const needed =
+        this.quorum - Math.max(0, ...[...answers.values()].map((a) => a.count));
+      const batch = candidates.slice(start, start + needed);
+      start += batch.length;
+
+      const results = await Promise.allSettled(
+        batch.map((endpoint) => this.#request(endpoint, pinned))
+      );
+
+      results.forEach((result, index) => {
+        const endpoint = batch[index];
+        if (result.status === "rejected") {
+          this.#markFailure(endpoint, result.reason);
+          lastError = result.reason;
+          return;
+        }
+
+        this.#markSuccess(endpoint);
+        const { response } = result.value;
+        const key = JSON.stringify(
+          "error" in response
+            ? { error: response.error }
+            : { result: response.result }
+        );
+        const answer = answers.get(key) || { count: 0, response };
+        answer.count += 1;
+        answers.set(key, answer);
+      });
+
+      const agreed = [...answers.values()].find((a) => a.count >= this.quorum);
+      if (agreed) return agreed.response;
+    }
+
+    if (!answers.size && lastError) throw lastError;
+
+    throw ethers.makeError(
+      "RPC endpoints did not reach quorum",
+      "SERVER_ERROR",
+      {
+        info: {
+          method: payload.method,
+          quorum: this.quorum,
+          answers: [...answers.values()].map((a) => a.count),
+        },
+      }
+    );
+  }
+
+  // Send one request to every endpoint and return the answers of the ones
+  // that replied, for checks that must not trust a single, possibly lagging,
+  // node
+  async sendToEach(method, params) {
+    const payload = { id: 1, jsonrpc: "2.0", method, params };
+    const results = await Promise.allSettled(
+      this.endpoints.map((endpoint) => this.#request(endpoint, payload))
+    );
+
+    return results
+      .filter(
+        (result) =>
+          result.status === "fulfilled" && !("error" in result.value.response)
+      )
+      .map((result) => result.value.response.result);
+  }
+
+  async _send(payload) {
+    const response =
+      this.quorum > 1 && QUORUM_METHODS.has(payload.method)
+        ? await this.#quorumSend(payload)
+        : await this.#failoverSend(payload);
+
+    return [{ ...response, id: payload.id }];
+  }
+
+  // Poll every endpoint for its head and latency, then mark as unhealthy the
+  // ones that are unreachable, too slow, on another chain or too far behind
+  async checkHealth() {
+    await Promise.all(
+      this.endpoints.map(async (endpoint) => {
+        try {
+          const { response, latencyMs } = await this.#request(endpoint, {
+            id: 1,
+            jsonrpc: "2.0",
+            method: "eth_blockNumber",
+            params: [],
+          });
+          if ("error" in response) throw new Error(response.error.message);
+
+          if (endpoint.chainId === null) {
+            const { response: chain } = await this.#request(endpoint, {
+              id: 2,
+              jsonrpc: "2.0",
+              method: "eth_chainId",
+              params: [],
+            });
+            if ("error" in chain) throw new Error(chain.error.message);
+            endpoint.chainId = BigInt(chain.result);
+          }
+
+          endpoint.blockNumber = Number(response.result);
+          endpoint.latencyMs = latencyMs;
+          endpoint.lastError = null;
+        } catch (error) {
+          endpoint.blockNumber = null;
+          endpoint.lastError = error.shortMessage || error.message;
+        }
+        endpoint.lastCheckedAt = new Date();
+      })
+    );
+
+    const head = Math.max(
+      ...this.endpoints.map((endpoint) => endpoint.blockNumber ?? -1)
+    );
+
+    for (const endpoint of this.endpoints) {
+      if (endpoint.blockNumber === null) {
+        endpoint.healthy = false;
+        endpoint.lag = null;
+        continue;
+      }
+
+      endpoint.lag = head - endpoint.blockNumber;
+
+      if (
+        this.expectedChainId !== null &&
+        endpoint.chainId !== this.expectedChainId
+      ) {
+        endpoint.healthy = false;
+        endpoint.lastError = `wrong chain ${endpoint.chainId}`;
+      } else {
+        endpoint.healthy =
+          endpoint.lag <= this.maxBlockLag &&
+          endpoint.latencyMs <= this.maxLatencyMs;
+        if (!endpoint.healthy)
+          endpoint.lastError =
+            endpoint.lag > this.maxBlockLag
+              ? `${endpoint.lag} blocks behind`
+              : `latency ${endpoint.latencyMs}ms`;
+      }
+    }
+  }
+
+  startHealthChecks() {
+    if (this.healthTimer) return;
+
+    const loop = async () => {
+      try {
+        await this.checkHealth();
+      } catch (error) {
+        console.log(`error while checking rpc health ${error.message}`);
+      }
+      this.healthTimer = setTimeout(loop, this.healthIntervalMs);
+      // Health checks alone should not keep the process alive
+      this.healthTimer.unref();
+    };
+
+    this.healthTimer = setTimeout(loop, 0);
+    this.healthTimer.unref();
+  }
+
+  stopHealthChecks() {
+    clearTimeout(this.healthTimer);
+    this.healthTimer = null;
+  }
+
+  status() {
+    return {
+      quorum: this.quorum,
+      maxBlockLag: this.maxBlockLag,
+      maxLatencyMs: this.maxLatencyMs,
+      endpoints: this.orderedEndpoints().map(
+        ({ url, chainId, ...endpoint }) => ({
+          ...endpoint,
+          chainId: chainId === null ? null : chainId.toString(),
+        })
+      ),
+    };
+  }
+}
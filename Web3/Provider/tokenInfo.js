@@ -0,0 +1,27 @@
+import { ethers } from "ethers";
+import { readContract } from "./provider.js";
+
+const ERC20_DECIMALS_ABI = ["function decimals() view returns (uint8)"];
+
+// Decimals never change for a deployed token, so they are read once per process
+let decimals = null;
+
+// { token, usdt } decimals of the sale token and the USDT it is paid with
+export const getTokenDecimals = async () => {
+  if (decimals) return decimals;
+
+  const contract = readContract();
+  const usdt = new ethers.Contract(
+    await contract.usdt(),
+    ERC20_DECIMALS_ABI,
+    contract.runner
+  );
+
+  const [token, usdtDecimals] = await Promise.all([
+    contract.decimals(),
+    usdt.decimals(),
+  ]);
+
+  decimals = { token: Number(token), usdt: Number(usdtDecimals) };
+  return decimals;
+};
@@ -0,0 +1,190 @@
+import { ethers } from "ethers";
+import { readContract } from "../Provider/provider.js";
+import { getTokenDecimals } from "../Provider/tokenInfo.js";
+
+// A wallet's position in the sale contract: balances, individual purchase
+// locks and the projected unlock timeline of its vesting schedule
+
+const LOCK_BATCH_SIZE = 10;
+const MAX_LOCKS = 500;
+const MAX_TRANCHES = 1000;
+
+// lockingBalances is a public array getter; reading past its end reverts
+const readLocks = async (contract, wallet) => {
+  const locks = [];
+
+  while (locks.length < MAX_LOCKS) {
+    const indexes = Array.from(
+      { length: LOCK_BATCH_SIZE },
+      (_, offset) => locks.length + offset
+    );
+    const batch = await Promise.all(
+      indexes.map((index) =>
+        contract.lockingBalances(wallet, index).catch((error) => {
+          if (error.code === "CALL_EXCEPTION") return null;
+          throw error;
+        })
+      )
+    );
+
+    for (const lock of batch) {
+      if (!lock) return locks;
+      locks.push(lock);
+    }
+  }
+
+  return locks;
+};
+
+// Vesting releases `unlockPerBatch` at lockEndTime and then once every
+// vestingInterval until totalAmount is reached. This is a projection of that
+// rule; the contract remains the source of truth for what can be claimed.
+const projectVesting = (schedule, vestingInterval) => {
+  const { totalAmount, claimedAmount, lockEndTime, unlockPerBatch } = schedule;
+  if (totalAmount === 0n) return [];
+
+  const batch =
+    unlockPerBatch > 0n && vestingInterval > 0n ? unlockPerBatch : totalAmount;
+  const tranches = [];
+  let cumulative = 0n;
+
+  while (cumulative < totalAmount && tranches.length < MAX_TRANCHES) {
+    const amount =
+      totalAmount - cumulative < batch ? totalAmount - cumulative : batch;
+    cumulative += amount;
+    tranches.push({
+      unlockTime: lockEndTime + BigInt(tranches.length) * vestingInterval,
+      amount,
+      cumulative,
+      claimed: cumulative <= claimedAmount,
+    });
+  }
+
+  return tranches;
+};
+
+// Without a vesting schedule each purchase lock unlocks in full at its own
+// unlock time (purchase time + lockDuration when the contract left it unset)
+const projectLocks = (locks, lockDuration) => {
+  let cumulative = 0n;
+
+  return locks
+    .map((lock) => ({
+      unlockTime:
+        lock.unlockTime > 0n
+          ? lock.unlockTime
+          : lock.purchaseTime + lockDuration,
+      amount: lock.amount,
+    }))
+    .sort((a, b) => (a.unlockTime < b.unlockTime ? -1 : 1))
+    .map((tranche) => {
+      cumulative += tranche.amount;
+      return { ...tranche, cumulative, claimed: false };
+    });
+};
+
+const toIso = (seconds) =>
+  seconds > 0n ? new Date(Number(seconds) * 1000).toISOString() : null;
+
+// Pair each on-chain lock with the recorded purchase that created it (same
+// amount and unlock time, as emitted by TokenBought)
+const matchPurchases = (locks, purchases) => {
+  const unmatched = [...purchases];
+
+  const matched = locks.map((lock) => {
+    const index = unmatched.findIndex(
+      (tx) =>
+        tx.amount === lock.amount.toString() &&
+        (!tx.unlockTime || tx.unlockTime === lock.unlockTime.toString())
+    );
+    return index >= 0 ? unmatched.splice(index, 1)[0] : null;
+  });
+
+  return { matched, unmatched };
+};
+
+// `purchases` are the user's recorded buy transactions for this wallet
+export const getPortfolio = async (walletAddress, purchases) => {
+  const contract = readContract();
+  const decimals = await getTokenDecimals();
+  const wallet = ethers.getAddress(walletAddress);
+
+  const [
+    balance,
+    available,
+    locked,
+    unlocked,
+    schedule,
+    lockDuration,
+    vestingInterval,
+    locks,
+  ] = await Promise.all([
+    contract.balanceOf(wallet),
+    contract.availableBalance(wallet),
+    contract.getLockedTokens(wallet),
+    contract.getUnlockedTokens(wallet),
+    contract.vestingSchedules(wallet),
+    contract.lockDuration(),
+    contract.vestingInterval(),
+    readLocks(contract, wallet),
+  ]);
+
+  const token = (amount) => ethers.formatUnits(amount, decimals.token);
+  const now = BigInt(Math.floor(Date.now() / 1000));
+
+  const tranches =
+    schedule.totalAmount > 0n
+      ? projectVesting(schedule, vestingInterval)
+      : projectLocks(locks, lockDuration);
+
+  const { matched, unmatched } = matchPurchases(locks, purchases);
+
+  return {
+    walletAddress: wallet,
+    decimals: decimals.token,
+    balances: {
+      balance: token(balance),
+      available: token(available),
+      locked: token(locked),
+      unlocked: token(unlocked),
+    },
+    vesting: {
+      totalAmount: token(schedule.totalAmount),
+      claimedAmount: token(schedule.claimedAmount),
+      lockEndTime: toIso(schedule.lockEndTime),
+      unlockPerBatch: token(schedule.unlockPerBatch),
+      lockDurationSeconds: Number(lockDuration),
+      vestingIntervalSeconds: Number(vestingInterval),
+    },
+    locks: locks.map((lock, index) => ({
+      index,
+      amount: token(lock.amount),
+      phase: Number(lock.phase),
+      purchaseTime: toIso(lock.purchaseTime),
+      unlockTime: toIso(lock.unlockTime),
+      purchase: matched[index]
+        ? {
+            id: matched[index].id,
+            transactionHash: matched[index].transactionHash,
+            createdAt: matched[index].createdAt,
+          }
+        : null,
+    })),
+    timeline: tranches.map((tranche) => ({
+      date: toIso(tranche.unlockTime),
+      amount: token(tranche.amount),
+      cumulative: token(tranche.cumulative),
+      status: tranche.claimed
+        ? "claimed"
+        : tranche.unlockTime <= now
+          ? "unlocked"
+          : "locked",
+    })),
+    unmatchedPurchases: unmatched.map((tx) => ({
+      id: tx.id,
+      transactionHash: tx.transactionHash,
+      amount: token(BigInt(tx.amount)),
+      createdAt: tx.createdAt,
+    })),
+  };
+};
@@ -0,0 +1,50 @@
+import { readContract } from "../Provider/provider.js";
+import { getTokenDecimals } from "../Provider/tokenInfo.js";
+
+// Which sale phase a purchase belongs to. TokenBought does not emit the
+// phase, but every phase has its own price and the contract has no setter for
+// it, so the price paid identifies the phase without reading historical state.
+
+export const SALE_PHASE_COUNT = parseInt(process.env.SALE_PHASE_COUNT || "4");
+export const SALE_PHASES = Array.from(
+  { length: SALE_PHASE_COUNT },
+  (_, phase) => phase
+);
+
+// Phase prices never change for a deployed sale, so they are read once per
+// process
+let phasePrices = null;
+
+const getPhasePrices = async () => {
+  if (phasePrices) return phasePrices;
+
+  const contract = readContract();
+  const phases = await Promise.all(
+    SALE_PHASES.map((phase) => contract.salePhases(phase))
+  );
+
+  phasePrices = phases.map((phase) => phase.price);
+  return phasePrices;
+};
+
+// `usdtAmount` and `tokenAmount` are the TokenBought amounts in base units
+// (stored as a buy's value and amount). The phase whose price is closest to
+// the price paid wins, so rounding in the contract does not matter.
+export const phaseOfPurchase = async ({ usdtAmount, tokenAmount }) => {
+  const tokens = BigInt(tokenAmount);
+  if (tokens === 0n) throw new Error(`purchase has no tokens`);
+
+  const [prices, decimals] = await Promise.all([
+    getPhasePrices(),
+    getTokenDecimals(),
+  ]);
+  const paid = (BigInt(usdtAmount) * 10n ** BigInt(decimals.token)) / tokens;
+
+  const distance = (price) => (price > paid ? price - paid : paid - price);
+
+  return prices.reduce(
+    (best, price, phase) =>
+      distance(price) < distance(prices[best]) ? phase : best,
+    0
+  );
+};
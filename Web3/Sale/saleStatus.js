@@ -0,0 +1,130 @@
+import { ethers } from "ethers";
+import { readContract } from "../Provider/provider.js";
+import { getTokenDecimals } from "../Provider/tokenInfo.js";
+import { SALE_PHASES } from "./salePhase.js";
+
+// One snapshot of the sale contract's state, cached for a few seconds so page
+// loads don't each cost a dozen RPC calls
+
+export const SALE_STATUS_CACHE_MS = parseInt(
+  process.env.SALE_STATUS_CACHE_MS || "15000"
+);
+
+let cached = null;
+let pending = null;
+
+const toIso = (seconds) =>
+  seconds > 0n ? new Date(Number(seconds) * 1000).toISOString() : null;
+
+// Percentage with two decimals, computed on integers
+const percent = (part, whole) =>
+  whole > 0n ? ethers.formatUnits((part * 10000n) / whole, 2) : "0.0";
+
+const readSaleStatus = async () => {
+  const contract = readContract();
+  const decimals = await getTokenDecimals();
+
+  const [
+    name,
+    symbol,
+    totalSupply,
+    status,
+    paused,
+    currentPhase,
+    tokenPrice,
+    icoStart,
+    icoEnd,
+    soldTokens,
+    lockDuration,
+    vestingInterval,
+    phases,
+  ] = await Promise.all([
+    contract.name(),
+    contract.symbol(),
+    contract.totalSupply(),
+    contract.checkStatus(),
+    contract.manualPause(),
+    contract.salePhase(),
+    contract.tokenPrice(),
+    contract.icoStart(),
+    contract.icoEnd(),
+    contract.soldTokens(),
+    contract.lockDuration(),
+    contract.vestingInterval(),
+    Promise.all(SALE_PHASES.map((phase) => contract.salePhases(phase))),
+  ]);
+
+  const token = (amount) => ethers.formatUnits(amount, decimals.token);
+  const usdt = (amount) => ethers.formatUnits(amount, decimals.usdt);
+
+  const saleSupply = phases.reduce(
+    (sum, phase) => sum + phase.allocatedSupply,
+    0n
+  );
+  const now = BigInt(Math.floor(Date.now() / 1000));
+
+  return {
+    token: {
+      name,
+      symbol,
+      decimals: decimals.token,
+      totalSupply: token(totalSupply),
+    },
+    status,
+    paused,
+    isOpen: !paused && icoStart <= now && (icoEnd === 0n || now < icoEnd),
+    currentPhase: Number(currentPhase),
+    price: usdt(tokenPrice),
+    priceCurrency: "USDT",
+    schedule: {
+      icoStart: toIso(icoStart),
+      icoEnd: toIso(icoEnd),
+      lockDurationSeconds: Number(lockDuration),
+      vestingIntervalSeconds: Number(vestingInterval),
+    },
+    phases: phases.map((phase, index) => ({
+      phase: index,
+      price: usdt(phase.price),
+      lockingPeriodSeconds: Number(phase.lockingPeriod),
+      allocatedSupply: token(phase.allocatedSupply),
+      isCurrent: index === Number(currentPhase),
+    })),
+    supply: {
+      sold: token(soldTokens),
+      saleSupply: token(saleSupply),
+      remaining: token(saleSupply > soldTokens ? saleSupply - soldTokens : 0n),
+      percentSold: percent(soldTokens, saleSupply),
+    },
+  };
+};
+
+// Returns { status, fetchedAt, stale }. When the RPC fails the last good
+// snapshot is served with stale: true; with nothing cached the error is thrown.
+export const getSaleStatus = async () => {
+  if (
+    cached &&
+    Date.now() - cached.fetchedAt.getTime() < SALE_STATUS_CACHE_MS
+  ) {
+    return { ...cached, stale: false };
+  }
+
+  // Concurrent requests share one refresh
+  if (!pending) {
+    pending = readSaleStatus()
+      .then((status) => {
+        cached = { status, fetchedAt: new Date() };
+      })
+      .finally(() => {
+        pending = null;
+      });
+  }
+
+  try {
+    await pending;
+    return { ...cached, stale: false };
+  } catch (error) {
+    if (!cached) throw error;
+    console.log(`serving cached sale status, refresh failed ${error.message}`);
+    return { ...cached, stale: true };
+  }
+};
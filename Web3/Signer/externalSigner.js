@@ -0,0 +1,125 @@
+import { ethers } from "ethers";
+
+// Signer whose key lives in a separate service (Clef, Web3Signer, an HSM
+// proxy...) reached over HTTP JSON-RPC. Only signing is delegated; nonces,
+// fees and broadcasting still go through our provider. Every signature is
+// checked against the configured address and the requested transaction.
+export class ExternalSigner extends ethers.AbstractSigner {
+  constructor(
+    { url, address, authToken = null, timeoutMs = 10000 },
+    provider = null
+  ) {
+    super(provider);
+    this.config = { url, address, authToken, timeoutMs };
+    this.address = ethers.getAddress(address);
+  }
+
+  connect(provider) {
+    return new ExternalSigner(this.config, provider);
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  async #call(method, params) {
+    const request = new ethers.FetchRequest(this.config.url);
+    request.timeout = this.config.timeoutMs;
+    request.body = JSON.stringify({ id: 1, jsonrpc: "2.0", method, params });
+    request.setHeader("content-type", "application/json");
+    if (this.config.authToken)
+      request.setHeader("authorization", `Bearer ${this.config.authToken}`);
+
+    const response = await request.send();
+    response.assertOk();
+
+    const { result, error } = response.bodyJson;
+    if (error)
+      throw ethers.makeError(
+        `external signer refused ${method}: ${error.message}`,
+        "UNKNOWN_ERROR",
+        { error }
+      );
+
+    return result;
+  }
+
+  async signTransaction(tx) {
+    const [to, from] = await Promise.all([
+      tx.to ? ethers.resolveAddress(tx.to, this.provider) : null,
+      tx.from ? ethers.resolveAddress(tx.from, this.provider) : this.address,
+    ]);
+
+    if (ethers.getAddress(from) !== this.address)
+      throw new Error(
+        `transaction from ${from} cannot be signed by ${this.address}`
+      );
+
+    const quantity = (value) =>
+      value === null || value === undefined
+        ? undefined
+        : ethers.toQuantity(value);
+
+    const result = await this.#call("eth_signTransaction", [
+      {
+        from: this.address,
+        to: to ?? undefined,
+        data: tx.data ?? "0x",
+        value: quantity(tx.value ?? 0),
+        gas: quantity(tx.gasLimit),
+        gasPrice: quantity(tx.gasPrice),
+        maxFeePerGas: quantity(tx.maxFeePerGas),
+        maxPriorityFeePerGas: quantity(tx.maxPriorityFeePerGas),
+        nonce: quantity(tx.nonce),
+        chainId: quantity(tx.chainId),
+        type: quantity(tx.type),
+      },
+    ]);
+
+    // Geth-style signers answer { raw, tx }, others the raw hex
+    const raw = typeof result === "string" ? result : result?.raw;
+    const signed = ethers.Transaction.from(raw);
+
+    const matches =
+      signed.from === this.address &&
+      (signed.to ?? null) === (to ? ethers.getAddress(to) : null) &&
+      signed.data === ethers.hexlify(tx.data ?? "0x") &&
+      signed.value === BigInt(tx.value ?? 0) &&
+      signed.nonce === Number(tx.nonce);
+
+    if (!matches)
+      throw new Error(
+        `external signer returned a different transaction than requested`
+      );
+
+    return raw;
+  }
+
+  async signMessage(message) {
+    const data =
+      typeof message === "string" ? ethers.toUtf8Bytes(message) : message;
+    const signature = await this.#call("personal_sign", [
+      ethers.hexlify(data),
+      this.address,
+    ]);
+
+    if (ethers.verifyMessage(data, signature) !== this.address)
+      throw new Error(`external signer signed with a different key`);
+
+    return signature;
+  }
+
+  async signTypedData(domain, types, value) {
+    const signature = await this.#call("eth_signTypedData_v4", [
+      this.address,
+      JSON.stringify(ethers.TypedDataEncoder.getPayload(domain, types, value)),
+    ]);
+
+    if (
+      ethers.verifyTypedData(domain, types, value, signature) !== this.address
+    )
+      throw new Error(`external signer signed with a different key`);
+
+    return signature;
+  }
+}
@@ -0,0 +1,43 @@
+import prisma from "../../DB/config.js";
+
+// How long one holder may keep a key's send lock: picking a nonce, signing
+// and broadcasting a batch of transactions
+const lockTimeoutMs = parseInt(process.env.SEND_LOCK_TIMEOUT_MS || "120000");
+
+// Run `send` while holding the send lock of `signerAddress`, so two senders
+// using the same key (the payout worker and contract operations, in this
+// process or another) never pick the same nonce. `send` should broadcast
+// before returning so the next holder sees its transactions as pending.
+export const withSendLock = (signerAddress, send) =>
+  prisma.$transaction(
+    async (client) => {
+      await client.$executeRaw`INSERT IGNORE INTO \`SignerSendLock\` (signerAddress) VALUES (${signerAddress})`;
+      await client.$queryRaw`SELECT signerAddress FROM \`SignerSendLock\` WHERE signerAddress = ${signerAddress} FOR UPDATE`;
+
+      return send();
+    },
+    { maxWait: lockTimeoutMs, timeout: lockTimeoutMs }
+  );
+
+// The next unused nonce of `signerAddress`: the node's pending count, or past
+// the highest nonce we have signed and not yet seen mined, whichever is
+// higher. Only call it while holding the key's send lock.
+export const nextNonce = async (provider, signerAddress) => {
+  const [pending, payouts, proposals] = await Promise.all([
+    provider.getTransactionCount(signerAddress, "pending"),
+    prisma.payoutJob.aggregate({
+      where: { status: "submitted", signerAddress },
+      _max: { nonce: true },
+    }),
+    prisma.contractProposal.aggregate({
+      where: { status: "submitted", signerAddress },
+      _max: { nonce: true },
+    }),
+  ]);
+
+  return Math.max(
+    pending,
+    (payouts._max.nonce ?? -1) + 1,
+    (proposals._max.nonce ?? -1) + 1
+  );
+};
@@ -0,0 +1,146 @@
+import fs from "fs/promises";
+import { ethers } from "ethers";
+import { getProvider } from "../Provider/provider.js";
+import { getTokenDecimals } from "../Provider/tokenInfo.js";
+import { ExternalSigner } from "./externalSigner.js";
+import { LimitedSigner } from "./spendingLimit.js";
+
+// Each purpose has its own key so a leaked payout key cannot run owner-only
+// contract functions, and each key has its own daily limits.
+export const SIGNER_PURPOSES = {
+  PAYOUT: "payout",
+  OWNER: "owner",
+};
+
+const signers = new Map();
+// Address of each unlocked purpose, to catch two purposes sharing a key
+const addresses = new Map();
+
+// Setups from before per-purpose keys used one PRIVATE_KEY for everything.
+// Only with SIGNER_LEGACY_PRIVATE_KEY=true may a purpose fall back to it and
+// share its key with another purpose.
+const legacyPrivateKey = process.env.SIGNER_LEGACY_PRIVATE_KEY === "true";
+
+// SIGNER_<PURPOSE>_<NAME>, e.g. SIGNER_PAYOUT_TYPE
+const setting = (purpose, name) =>
+  process.env[`SIGNER_${purpose.toUpperCase()}_${name}`] || null;
+
+const readSecret = async (purpose, name) => {
+  const file = setting(purpose, `${name}_FILE`);
+  return file
+    ? (await fs.readFile(file, "utf8")).trim()
+    : setting(purpose, name);
+};
+
+// Backends, keyed by SIGNER_<PURPOSE>_TYPE (private_key when unset)
+const backends = {
+  private_key: async (purpose) => {
+    const privateKey =
+      (await readSecret(purpose, "PRIVATE_KEY")) ||
+      (legacyPrivateKey ? process.env.PRIVATE_KEY : null);
+    if (!privateKey) return null;
+    return new ethers.Wallet(privateKey);
+  },
+
+  keystore: async (purpose) => {
+    const path = setting(purpose, "KEYSTORE_PATH");
+    const password = await readSecret(purpose, "KEYSTORE_PASSWORD");
+    if (!path || password === null)
+      throw new Error(
+        `${purpose} signer needs KEYSTORE_PATH and KEYSTORE_PASSWORD`
+      );
+
+    const json = await fs.readFile(path, "utf8");
+    return ethers.Wallet.fromEncryptedJson(json, password);
+  },
+
+  external: async (purpose) => {
+    const url = setting(purpose, "URL");
+    const address = setting(purpose, "ADDRESS");
+    if (!url || !address)
+      throw new Error(`${purpose} signer needs URL and ADDRESS`);
+
+    return new ExternalSigner({
+      url,
+      address,
+      authToken: await readSecret(purpose, "AUTH_TOKEN"),
+    });
+  },
+};
+
+// Limits are in whole units (BNB, sale tokens); unset means no limit
+const loadLimits = async (purpose) => {
+  const native = setting(purpose, "DAILY_NATIVE_LIMIT");
+  const token = setting(purpose, "DAILY_TOKEN_LIMIT");
+  const transactions = setting(purpose, "DAILY_TX_LIMIT");
+
+  return {
+    native: native === null ? null : ethers.parseEther(native),
+    token:
+      token === null
+        ? null
+        : ethers.parseUnits(token, (await getTokenDecimals()).token),
+    transactions: transactions === null ? null : parseInt(transactions),
+  };
+};
+
+const loadSigner = async (purpose) => {
+  const type = setting(purpose, "TYPE") || "private_key";
+  const backend = backends[type];
+  if (!backend) throw new Error(`unknown ${purpose} signer type ${type}`);
+
+  const signer = await backend(purpose);
+  if (!signer) throw new Error(`no ${purpose} signer configured`);
+
+  const limited = new LimitedSigner(
+    purpose,
+    signer.connect(getProvider()),
+    await loadLimits(purpose)
+  );
+  const address = await limited.getAddress();
+
+  for (const [other, otherAddress] of addresses) {
+    if (other === purpose || otherAddress !== address) continue;
+    if (!legacyPrivateKey)
+      throw Object.assign(
+        new Error(
+          `${purpose} and ${other} signers use the same key ${address}`
+        ),
+        { code: "SHARED_SIGNER_KEY" }
+      );
+    console.log(
+      `warning: ${purpose} and ${other} signers share the legacy key ${address}`
+    );
+  }
+  addresses.set(purpose, address);
+
+  console.log(`${purpose} signer ready: ${type} ${address}`);
+  return limited;
+};
+
+// The signer for a purpose, unlocked on first use. The promise is cached so
+// a keystore is only decrypted once.
+export const getSigner = (purpose) => {
+  if (!signers.has(purpose)) {
+    const loading = loadSigner(purpose);
+    signers.set(purpose, loading);
+    // Let a later call retry after a failed unlock
+    loading.catch(() => signers.delete(purpose));
+  }
+
+  return signers.get(purpose);
+};
+
+// Unlock every configured signer at startup so a wrong password or an
+// unreachable external signer shows up immediately, not on the first payout.
+// Two purposes sharing a key stops the server from starting.
+export const initSigners = async () => {
+  for (const purpose of Object.values(SIGNER_PURPOSES)) {
+    try {
+      await getSigner(purpose);
+    } catch (error) {
+      if (error.code === "SHARED_SIGNER_KEY") throw error;
+      console.log(`error while unlocking ${purpose} signer ${error.message}`);
+    }
+  }
+};
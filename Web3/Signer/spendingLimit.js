@@ -0,0 +1,195 @@
+import { ethers } from "ethers";
+import prisma from "../../DB/config.js";
+import CHAINSPHERE_CONTRACT_ABI from "../ABI/chainsphereABI.json" with { type: "json" };
+
+const contractAddress = process.env.CONTRACT_ADDRESS;
+const contractInterface = new ethers.Interface(CHAINSPHERE_CONTRACT_ABI);
+
+// Contract functions that move sale tokens, and the argument holding the amount.
+// WithdrawUSDT and withdrawBNB are left out on purpose: they take no amount
+// or recipient and move the contract's balance to its owner, so there is
+// nothing to measure when signing and a stolen key cannot redirect the funds.
+// They still count towards the daily transaction limit.
+const TOKEN_SPEND_ARGS = {
+  transfer: "amount",
+  transferFrom: "amount",
+  transferWithLock: "amount",
+  TransferRewards: "amount_",
+  burn: "value",
+  burnFrom: "value",
+};
+
+// Sale contract functions each signer purpose may call; anything else,
+// including approve, allowance and ownership changes, is refused before
+// signing. The owner list matches CONTRACT_OPERATIONS.
+const ALLOWED_CALLS = {
+  payout: ["transfer", "TransferRewards"],
+  owner: [
+    "setSalePhase",
+    "setLockingPeriod",
+    "setStartTime",
+    "setEndTime",
+    "Pause",
+    "WithdrawUSDT",
+    "withdrawBNB",
+  ],
+};
+
+const isSaleContract = (to) =>
+  Boolean(to && contractAddress) &&
+  ethers.getAddress(to) === ethers.getAddress(contractAddress);
+
+// Plain coin transfers are bounded by the native limit; calls must be to an
+// allowed function of the sale contract
+const assertAllowed = (purpose, tx) => {
+  if (tx.to && ethers.getBytes(tx.data ?? "0x").length === 0) return;
+
+  const call =
+    isSaleContract(tx.to) &&
+    contractInterface.parseTransaction({ data: tx.data });
+  if (call && (ALLOWED_CALLS[purpose] || []).includes(call.name)) return;
+
+  throw Object.assign(
+    new Error(
+      `${purpose} signer may not call ${call ? call.name : (tx.to ?? "contract creation")}`
+    ),
+    { code: "CALL_NOT_ALLOWED", purpose }
+  );
+};
+
+// Native coin and sale tokens a transaction sends out
+export const spendOf = (tx) => {
+  const spend = { native: BigInt(tx.value ?? 0), token: 0n };
+
+  if (!tx.data || !isSaleContract(tx.to)) return spend;
+
+  const call = contractInterface.parseTransaction({ data: tx.data });
+  const argument = call && TOKEN_SPEND_ARGS[call.name];
+  if (argument) spend.token = BigInt(call.args[argument]);
+
+  return spend;
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const limitExceeded = (purpose, kind, limit) =>
+  Object.assign(
+    new Error(`daily ${kind} limit of the ${purpose} signer reached`),
+    { code: "SPENDING_LIMIT_EXCEEDED", purpose, kind, limit: limit.toString() }
+  );
+
+// Check the transaction against the key's limits for today and record it as
+// reserved. Runs under a lock on the key so concurrent signings cannot both
+// fit. The sender marks it sent once broadcast, or released when it never
+// reached the network; a reservation left by a crash keeps counting.
+export const reserveSpend = async (purpose, signerAddress, tx, limits) => {
+  assertAllowed(purpose, tx);
+
+  const spend = spendOf(tx);
+  const nonce = Number(tx.nonce);
+  const day = today();
+
+  await prisma.$transaction(async (client) => {
+    await client.$executeRaw`INSERT IGNORE INTO \`SignerLock\` (signerAddress) VALUES (${signerAddress})`;
+    await client.$queryRaw`SELECT signerAddress FROM \`SignerLock\` WHERE signerAddress = ${signerAddress} FOR UPDATE`;
+
+    // A replacement for the same nonce takes the place of its original
+    const [used] = await client.$queryRaw`
+      SELECT COALESCE(SUM(nativeAmount), 0) AS native,
+             COALESCE(SUM(tokenAmount), 0) AS token,
+             COUNT(*) AS count
+      FROM \`SignerSpend\`
+      WHERE signerAddress = ${signerAddress} AND day = ${day} AND nonce <> ${nonce}
+        AND status <> 'released'`;
+
+    if (
+      limits.transactions !== null &&
+      Number(used.count) + 1 > limits.transactions
+    )
+      throw limitExceeded(purpose, "transaction", limits.transactions);
+    if (
+      limits.native !== null &&
+      BigInt(used.native.toFixed(0)) + spend.native > limits.native
+    )
+      throw limitExceeded(purpose, "native", limits.native);
+    if (
+      limits.token !== null &&
+      BigInt(used.token.toFixed(0)) + spend.token > limits.token
+    )
+      throw limitExceeded(purpose, "token", limits.token);
+
+    const row = {
+      purpose,
+      day,
+      to: tx.to ? ethers.getAddress(tx.to) : null,
+      nativeAmount: spend.native.toString(),
+      tokenAmount: spend.token.toString(),
+      status: "reserved",
+    };
+
+    await client.signerSpend.upsert({
+      where: { signerAddress_nonce: { signerAddress, nonce } },
+      update: row,
+      create: { ...row, signerAddress, nonce },
+    });
+  });
+};
+
+const settleSpend = (signerAddress, nonce, status) =>
+  prisma.signerSpend.updateMany({
+    where: { signerAddress, nonce: Number(nonce), status: "reserved" },
+    data: { status },
+  });
+
+// Wraps a backend signer so every transaction passes the daily limits before
+// the key is asked to sign it
+export class LimitedSigner extends ethers.AbstractSigner {
+  constructor(purpose, signer, limits, provider = signer.provider) {
+    super(provider);
+    this.purpose = purpose;
+    this.signer =
+      provider === signer.provider ? signer : signer.connect(provider);
+    this.limits = limits;
+  }
+
+  connect(provider) {
+    return new LimitedSigner(this.purpose, this.signer, this.limits, provider);
+  }
+
+  getAddress() {
+    return this.signer.getAddress();
+  }
+
+  async signTransaction(tx) {
+    if (tx.nonce === null || tx.nonce === undefined)
+      throw new Error(`transaction nonce must be set before signing`);
+
+    const address = await this.getAddress();
+    await reserveSpend(this.purpose, address, tx, this.limits);
+
+    try {
+      return await this.signer.signTransaction(tx);
+    } catch (error) {
+      await settleSpend(address, tx.nonce, "released");
+      throw error;
+    }
+  }
+
+  // The transaction signed for `nonce` was broadcast
+  async confirmSpend(nonce) {
+    await settleSpend(await this.getAddress(), nonce, "sent");
+  }
+
+  // The transaction signed for `nonce` will never be mined
+  async releaseSpend(nonce) {
+    await settleSpend(await this.getAddress(), nonce, "released");
+  }
+
+  signMessage(message) {
+    return this.signer.signMessage(message);
+  }
+
+  signTypedData(domain, types, value) {
+    return this.signer.signTypedData(domain, types, value);
+  }
+}
@@ -1,7 +1,38 @@
 import prisma from "../DB/config.js";
 import { ethers } from "ethers";
 import { ApiResponse } from "../utils/ApiResponse.js";
-import { contractInstance } from "../Web3/Provider/provider.js";
+import { readContract, getRpcStatus } from "../Web3/Provider/provider.js";
+import { getTokenDecimals } from "../Web3/Provider/tokenInfo.js";
+import { SALE_PHASES } from "../Web3/Sale/salePhase.js";
+import Joi from "joi";
+import {
+  calculateReferralSplit,
+  getLevelBasisPoints,
+  MAX_REFERRAL_LEVELS,
+  CORE_TEAM_BASIS_POINTS,
+  getPurchasePhase,
+} from "../utils/referralRewards.js";
+import { retryPayoutJob } from "../Web3/Payout/payoutQueue.js";
+import { distributeStakingRewards } from "../utils/stakingRewards.js";
+import { canTransitionKyc, transitionKyc } from "../utils/kyc.js";
+import { signDocumentUrl } from "../utils/signedUrl.js";
+import {
+  paginate,
+  transactionQuerySchema,
+  transactionWhere,
+  payoutFilterKeys,
+  payoutWhere,
+} from "../utils/listing.js";
+import {
+  getDownlineTree,
+  getUpline,
+  MAX_TREE_DEPTH,
+} from "../utils/referralTree.js";
+import {
+  applyWalletChange,
+  sendWalletChangeError,
+} from "../utils/walletChange.js";
+import { auditDiff } from "../utils/audit.js";
 import { warnEnvConflicts } from "@prisma/client/runtime/library";
 
 
@@ -21,20 +52,6 @@ export const makeAmbassdorHandle = async (req, res) => {
       return res
         .status(404)
         .json(new ApiResponse(400, {}, `User does not exists`));
-    const checkAdmin = await prisma.user.findUnique({
-      where: {
-        id: req.user.id,
-        roll: "ADMIN",
-      },
-    });
-
-    console.log(`checkAdmin ------------->`, checkAdmin);
-
-    if (!checkAdmin)
-      return res
-        .status(404)
-        .json(new ApiResponse(400, {}, `Unauthorized request`));
-
     const ambassadorExists = await prisma.ambassador.findFirst({
       where: {
         userId: parseInt(req.query.id),
@@ -78,20 +95,6 @@ export const makeCoreTeamHandle = async (req, res) => {
         .json(new ApiResponse(400, {}, `User does not exists`));
 
 
-    const checkAdmin = await prisma.user.findUnique({
-      where: {
-        id: req.user.id,
-        roll: "ADMIN",
-      },
-    });
-
-    console.log(`checkAdmin ------------->`, checkAdmin);
-
-    if (!checkAdmin)
-      return res
-        .status(404)
-        .json(new ApiResponse(400, {}, `Unauthorized request`));
-
     const ambassadorExists = await prisma.coreTeamMembers.findFirst({
       where: {
         userId: parseInt(req.query.id),
@@ -121,28 +124,49 @@ export const makeCoreTeamHandle = async (req, res) => {
 };
 
 
-export const getAllTransactions=async(req, res)=>{
+export const getAllTransactions = async (req, res) => {
   try {
-    const allTxns = await prisma.transaction.findMany({})
+    const schema = transactionQuerySchema({ staff: true });
 
-    if(allTxns.length <= 0) return res.status(404).json(new ApiResponse(400, {}, `No transaction found in the database`))
+    const { error, value } = schema.validate(req.query);
 
-    console.log(`allTxns ----------------->`, allTxns)
+    if (error) {
+      return res
+        .status(400)
+        .json(new ApiResponse(400, {}, error.details[0].message));
+    }
 
-    return res.status(200).json(new ApiResponse(200, allTxns, `All transactions fetched successfully`))
+    const page = await paginate("transaction", {
+      ...value,
+      where: transactionWhere(value),
+      include: {
+        user: {
+          select: {
+            id: true,
+            firstName: true,
+            lastName: true,
+            email: true,
+            walletAddress: true,
+          },
+        },
+      },
+    });
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, page, `All transactions fetched successfully`));
   } catch (error) {
     console.log(`error while getting all transactions ${error.message}`);
     return res
       .status(501)
       .json(new ApiResponse(500, {}, `Internal Server Error`));
-    
   }
-}
+};
 
 
 export const getContractOwner= async(req, res)=>{
   try {
-    const contract = await contractInstance()
+    const contract = readContract()
     const owner = await contract.owner();
     console.log(`owner  --------------->`, owner);
     
@@ -160,35 +184,203 @@ export const getContractOwner= async(req, res)=>{
 
 
 
-export const stakingRewardHandle = async(req, res)=>{
+export const stakingRewardHandle = async (req, res) => {
   try {
-    const { address} = req.body;
-    let contract;
-    // console.log(`address ------------->  ${req.body}`)
-    
-    contract = await contractInstance()
+    const { programId } = req.body;
 
+    const schema = Joi.object({
+      programId: Joi.number().integer().required(),
+    });
 
+    const { error } = schema.validate(req.body);
 
-    // const address = `0xf24fC8305408C55a09Ac115DA5Eb406Fe3058d07`
-    // const value = await ethers.parseUnits("2", 18)
-    // const timestamp = 600
+    if (error) {
+      return res
+        .status(400)
+        .json(new ApiResponse(400, {}, error.details[0].message));
+    }
 
-     contract = await contractInstance()
-    const tx = await contract.TransferRewards(address, value, timestamp);
-    tx.wait()
+    const rewards = await distributeStakingRewards(programId);
 
-    console.log(`tx ---------------->`, tx);
-    
-    
-    return res.status(201).json(new ApiResponse(200, tx, `reward transfer successfully`))
+    if (!rewards)
+      return res
+        .status(404)
+        .json(
+          new ApiResponse(400, {}, `Active staking program does not exist`)
+        );
+
+    return res
+      .status(202)
+      .json(
+        new ApiResponse(
+          200,
+          rewards,
+          `${rewards.length} staking rewards queued for payout`
+        )
+      );
   } catch (error) {
-      console.log(`error while giving staking reward`, error)
-      return res.status(501).json(new ApiResponse(500, {}, `Internal server error`));
-    
+    console.log(`error while giving staking reward`, error);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal server error`));
   }
-}
+};
+
+export const createStakingProgramHandle = async (req, res) => {
+  try {
+    const {
+      name,
+      rateBasisPoints,
+      periodSeconds,
+      lockTime,
+      startAt,
+      endAt,
+      allUsers,
+      userIds,
+      walletAddresses,
+    } = req.body;
+
+    const schema = Joi.object({
+      name: Joi.string().min(2).max(100).required(),
+      rateBasisPoints: Joi.number().integer().min(1).max(10000).required(),
+      periodSeconds: Joi.number().integer().min(60).required(),
+      lockTime: Joi.number().integer().min(0).required(),
+      startAt: Joi.date().iso().required(),
+      endAt: Joi.date().iso().greater(Joi.ref("startAt")).optional(),
+      allUsers: Joi.boolean().optional(),
+      userIds: Joi.array().items(Joi.number().integer()).optional(),
+      walletAddresses: Joi.array().items(Joi.string()).optional(),
+    });
+
+    const { error } = schema.validate(req.body);
+
+    if (error) {
+      return res
+        .status(400)
+        .json(new ApiResponse(400, {}, error.details[0].message));
+    }
+
+    const invalidWallet = (walletAddresses || []).find(
+      (wallet) => !ethers.isAddress(wallet)
+    );
+
+    if (invalidWallet)
+      return res
+        .status(400)
+        .json(
+          new ApiResponse(400, {}, `Invalid wallet address ${invalidWallet}`)
+        );
+
+    const program = await prisma.stakingProgram.create({
+      data: {
+        name,
+        rateBasisPoints,
+        periodSeconds,
+        lockTime,
+        startAt: new Date(startAt),
+        endAt: endAt ? new Date(endAt) : null,
+        allUsers: allUsers || false,
+        members: {
+          create: [
+            ...(userIds || []).map((userId) => ({ userId })),
+            ...(walletAddresses || []).map((walletAddress) => ({
+              walletAddress,
+            })),
+          ],
+        },
+      },
+      include: { members: true },
+    });
+
+    res.locals.audit = { targetId: program.id };
+
+    return res
+      .status(201)
+      .json(
+        new ApiResponse(200, program, `Staking program created successfully`)
+      );
+  } catch (error) {
+    console.log(`error while creating staking program ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
+
+export const getStakingProgramsHandle = async (req, res) => {
+  try {
+    const programs = await prisma.stakingProgram.findMany({
+      include: {
+        members: true,
+        _count: { select: { rewards: true } },
+      },
+      orderBy: { id: "desc" },
+    });
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(200, programs, `Staking programs fetched successfully`)
+      );
+  } catch (error) {
+    console.log(`error while getting staking programs ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
+
+export const updateStakingProgramHandle = async (req, res) => {
+  try {
+    const { active, endAt } = req.body;
+
+    const schema = Joi.object({
+      active: Joi.boolean().optional(),
+      endAt: Joi.date().iso().allow(null).optional(),
+    });
+
+    const { error } = schema.validate(req.body);
+
+    if (error) {
+      return res
+        .status(400)
+        .json(new ApiResponse(400, {}, error.details[0].message));
+    }
+
+    const program = await prisma.stakingProgram.findUnique({
+      where: { id: parseInt(req.params.id) },
+    });
+
+    if (!program)
+      return res
+        .status(404)
+        .json(new ApiResponse(404, {}, `Staking program does not exist`));
+
+    const updated = await prisma.stakingProgram.update({
+      where: { id: program.id },
+      data: {
+        active,
+        endAt: endAt === undefined ? undefined : endAt && new Date(endAt),
+      },
+    });
 
+    res.locals.audit = auditDiff(
+      { active: program.active, endAt: program.endAt },
+      { active: updated.active, endAt: updated.endAt }
+    );
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(200, updated, `Staking program updated successfully`)
+      );
+  } catch (error) {
+    console.log(`error while updating staking program ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
 
 // export const claimRewards = async(req, res)=>{
 //   try {
@@ -205,22 +397,22 @@ export const stakingRewardHandle = async(req, res)=>{
 // }
 
 
-export const priceOfToken = async(req, res)=>{
+export const priceOfToken = async (req, res) => {
   try {
-    const contract = await contractInstance();
+    const contract = readContract();
+    const decimals = await getTokenDecimals();
 
-    // const tx = await contract.icoStart();
+    const price = await contract.tokenPrice();
 
-    // const date = new Date(Number(tx) * 1000);
-    // return res.status(200).json(new ApiResponse(200, date, 'token price fetched successfully'))
-
-    const tx = await contract.tokenPrice()
-
-      
-    console.log(`tx ------------>`, Number(tx))
-
-    return res.status(200).json(new ApiResponse(200,  `${Number(tx)/Number(10**18)} USDT`, 'token price fetched successfully'))
-    
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          `${ethers.formatUnits(price, decimals.usdt)} USDT`,
+          "token price fetched successfully"
+        )
+      );
   } catch (error) {
     console.log(error)
 
@@ -229,9 +421,613 @@ export const priceOfToken = async(req, res)=>{
 }
 
 
+export const getRpcStatusHandle = async (req, res) => {
+  try {
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(200, getRpcStatus(), `RPC status fetched successfully`)
+      );
+  } catch (error) {
+    console.log(`error while getting rpc status ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
+
+export const getReferralRewardRulesHandle = async (req, res) => {
+  try {
+    const phases = {};
+    for (const phase of SALE_PHASES) {
+      phases[phase] = await getLevelBasisPoints(phase);
+    }
+
+    return res.status(200).json(
+      new ApiResponse(
+        200,
+        {
+          maxLevels: MAX_REFERRAL_LEVELS,
+          coreTeamBasisPoints: CORE_TEAM_BASIS_POINTS,
+          phases,
+        },
+        `Referral reward rules fetched successfully`
+      )
+    );
+  } catch (error) {
+    console.log(`error while getting referral reward rules ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
 
+export const setReferralRewardRulesHandle = async (req, res) => {
+  try {
+    const { salePhase, levels } = req.body;
 
-// round 25%
-// round 15%
-// round 10%
-// round 3 %
\ No newline at end of file
+    const schema = Joi.object({
+      salePhase: Joi.number().integer().min(0).max(255).required(),
+      levels: Joi.array()
+        .items(Joi.number().integer().min(0).max(10000))
+        .min(1)
+        .max(MAX_REFERRAL_LEVELS)
+        .required(),
+    });
+
+    const { error } = schema.validate(req.body);
+
+    if (error) {
+      return res
+        .status(400)
+        .json(new ApiResponse(400, {}, error.details[0].message));
+    }
+
+    const previous = await prisma.referralRewardRule.findMany({
+      where: { salePhase },
+      orderBy: { level: "asc" },
+    });
+
+    await prisma.$transaction([
+      prisma.referralRewardRule.deleteMany({ where: { salePhase } }),
+      prisma.referralRewardRule.createMany({
+        data: levels.map((basisPoints, index) => ({
+          salePhase,
+          level: index + 1,
+          basisPoints,
+        })),
+      }),
+    ]);
+
+    res.locals.audit = {
+      before: { levels: previous.map((rule) => rule.basisPoints) },
+      after: { levels },
+    };
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { salePhase, levels },
+          `Referral reward rules updated successfully`
+        )
+      );
+  } catch (error) {
+    console.log(`error while setting referral reward rules ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
+
+export const previewReferralRewardHandle = async (req, res) => {
+  try {
+    const { transactionHash, salePhase } = req.body;
+
+    const schema = Joi.object({
+      transactionHash: Joi.string().required(),
+      salePhase: Joi.number().integer().min(0).max(255).optional(),
+    });
+
+    const { error } = schema.validate(req.body);
+
+    if (error) {
+      return res
+        .status(400)
+        .json(new ApiResponse(400, {}, error.details[0].message));
+    }
+
+    const purchase = await prisma.transaction.findFirst({
+      where: { transactionHash, type: "buy" },
+    });
+
+    if (!purchase)
+      return res
+        .status(404)
+        .json(new ApiResponse(400, {}, `Purchase does not exist`));
+
+    // Defaults to the phase of the purchase, as the real payout does
+    const phase =
+      salePhase === undefined ? await getPurchasePhase(purchase) : salePhase;
+
+    const split = await calculateReferralSplit({
+      buyerId: purchase.userId,
+      tokenAmount: purchase.amount,
+      salePhase: phase,
+    });
+
+    const paid = await prisma.referralReward.findMany({
+      where: { transactionId: purchase.id },
+    });
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { ...split, alreadyRecorded: paid },
+          `Referral reward preview fetched successfully`
+        )
+      );
+  } catch (error) {
+    console.log(`error while previewing referral reward ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
+
+export const getPayoutJobsHandle = async (req, res) => {
+  try {
+    const schema = Joi.object(payoutFilterKeys());
+
+    const { error, value } = schema.validate(req.query);
+
+    if (error) {
+      return res
+        .status(400)
+        .json(new ApiResponse(400, {}, error.details[0].message));
+    }
+
+    const jobs = await prisma.payoutJob.findMany({
+      where: payoutWhere(value),
+      orderBy: { id: "desc" },
+      take: 100,
+      omit: { rawTransaction: true },
+    });
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, jobs, `Payout jobs fetched successfully`));
+  } catch (error) {
+    console.log(`error while getting payout jobs ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
+
+export const getPayoutJobHandle = async (req, res) => {
+  try {
+    const job = await prisma.payoutJob.findUnique({
+      where: { id: parseInt(req.params.id) },
+      include: { referralReward: true },
+      omit: { rawTransaction: true },
+    });
+
+    if (!job)
+      return res
+        .status(404)
+        .json(new ApiResponse(404, {}, `Payout job does not exist`));
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, job, `Payout job fetched successfully`));
+  } catch (error) {
+    console.log(`error while getting payout job ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
+
+export const retryPayoutJobHandle = async (req, res) => {
+  try {
+    const job = await retryPayoutJob(parseInt(req.params.id));
+
+    if (!job)
+      return res
+        .status(400)
+        .json(
+          new ApiResponse(
+            400,
+            {},
+            `Only failed or replaced payout jobs can be retried`
+          )
+        );
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, { id: job.id }, `Payout job queued again`));
+  } catch (error) {
+    console.log(`error while retrying payout job ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
+
+const kycUserSelect = {
+  id: true,
+  firstName: true,
+  lastName: true,
+  email: true,
+  country: true,
+  dob: true,
+  kycStatus: true,
+  documentId: true,
+  documentFront: true,
+  documentBack: true,
+};
+
+// Swap stored document keys for short-lived signed download links
+const withDocumentUrls = ({ documentFront, documentBack, ...rest }) => ({
+  ...rest,
+  documentFrontImage: signDocumentUrl(documentFront),
+  documentBackImage: signDocumentUrl(documentBack),
+});
+
+export const getPendingKycHandle = async (req, res) => {
+  try {
+    const users = await prisma.user.findMany({
+      where: { kycStatus: "pending" },
+      select: {
+        ...kycUserSelect,
+        kycReviews: {
+          where: { toStatus: "pending" },
+          orderBy: { createdAt: "desc" },
+          take: 1,
+          select: { createdAt: true },
+        },
+      },
+    });
+
+    // Oldest submission first
+    const queue = users
+      .map(({ kycReviews, ...user }) => ({
+        ...withDocumentUrls(user),
+        submittedAt: kycReviews[0]?.createdAt || null,
+      }))
+      .sort((a, b) => a.submittedAt - b.submittedAt);
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, queue, `Pending KYC fetched successfully`));
+  } catch (error) {
+    console.log(`error while getting pending kyc ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
+
+export const getKycHistoryHandle = async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: parseInt(req.params.userId) },
+      select: {
+        ...kycUserSelect,
+        kycReviews: {
+          orderBy: { createdAt: "desc" },
+          include: {
+            reviewer: {
+              select: { id: true, firstName: true, lastName: true },
+            },
+          },
+        },
+      },
+    });
+
+    if (!user)
+      return res
+        .status(404)
+        .json(new ApiResponse(404, {}, `User does not exist`));
+
+    const history = {
+      ...withDocumentUrls(user),
+      kycReviews: user.kycReviews.map(withDocumentUrls),
+    };
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, history, `KYC history fetched successfully`));
+  } catch (error) {
+    console.log(`error while getting kyc history ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
+
+export const reviewKycHandle = async (req, res) => {
+  try {
+    const { decision, note } = req.body;
+
+    const schema = Joi.object({
+      decision: Joi.string()
+        .valid("approved", "rejected", "resubmission_requested")
+        .required(),
+      note: Joi.string()
+        .max(1000)
+        .when("decision", {
+          is: "approved",
+          then: Joi.optional().allow(""),
+          otherwise: Joi.required(),
+        })
+        .messages({
+          "any.required": "A reason is required when KYC is not approved",
+        }),
+    });
+
+    const { error } = schema.validate(req.body);
+
+    if (error) {
+      return res
+        .status(400)
+        .json(new ApiResponse(400, {}, error.details[0].message));
+    }
+
+    const userId = parseInt(req.params.userId);
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+
+    if (!user)
+      return res
+        .status(404)
+        .json(new ApiResponse(404, {}, `User does not exist`));
+
+    if (!canTransitionKyc(user.kycStatus, decision))
+      return res
+        .status(409)
+        .json(
+          new ApiResponse(
+            409,
+            { kycStatus: user.kycStatus },
+            `KYC cannot be ${decision} while it is ${user.kycStatus}`
+          )
+        );
+
+    const updated = await transitionKyc(userId, decision, {
+      reviewerId: req.user.id,
+      note: note || null,
+    });
+
+    // Another reviewer changed the status after we read it
+    if (!updated)
+      return res
+        .status(409)
+        .json(
+          new ApiResponse(
+            409,
+            { code: "KYC_STATUS_CHANGED" },
+            `KYC was reviewed by someone else, reload and try again`
+          )
+        );
+
+    res.locals.audit = {
+      before: { kycStatus: user.kycStatus },
+      after: { kycStatus: updated.kycStatus },
+      metadata: { note: note || null },
+    };
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { id: updated.id, kycStatus: updated.kycStatus },
+          `KYC reviewed successfully`
+        )
+      );
+  } catch (error) {
+    console.log(`error while reviewing kyc ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
+
+export const getWalletChangesHandle = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const schema = Joi.object({
+      status: Joi.string()
+        .valid(
+          "pending_signatures",
+          "pending_approval",
+          "completed",
+          "rejected",
+          "cancelled"
+        )
+        .optional(),
+    });
+
+    const { error } = schema.validate(req.query);
+
+    if (error) {
+      return res
+        .status(400)
+        .json(new ApiResponse(400, {}, error.details[0].message));
+    }
+
+    const walletChanges = await prisma.walletChange.findMany({
+      where: { status: status || "pending_approval" },
+      include: {
+        user: {
+          select: {
+            id: true,
+            firstName: true,
+            lastName: true,
+            email: true,
+            walletAddress: true,
+          },
+        },
+      },
+      orderBy: { createdAt: "asc" },
+    });
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(200, walletChanges, `Wallet changes fetched successfully`)
+      );
+  } catch (error) {
+    console.log(`error while getting wallet changes ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
+
+// Approve or reject a wallet change whose new wallet has signed but the old
+// wallet could not
+export const reviewWalletChangeHandle = async (req, res) => {
+  try {
+    const { decision, note } = req.body;
+
+    const schema = Joi.object({
+      decision: Joi.string().valid("approved", "rejected").required(),
+      note: Joi.string()
+        .max(1000)
+        .when("decision", {
+          is: "approved",
+          then: Joi.optional().allow(""),
+          otherwise: Joi.required(),
+        })
+        .messages({
+          "any.required": "A reason is required when rejecting a wallet change",
+        }),
+    });
+
+    const { error } = schema.validate(req.body);
+
+    if (error) {
+      return res
+        .status(400)
+        .json(new ApiResponse(400, {}, error.details[0].message));
+    }
+
+    const walletChange = await prisma.walletChange.findUnique({
+      where: { id: parseInt(req.params.id) },
+    });
+
+    if (!walletChange)
+      return res
+        .status(404)
+        .json(new ApiResponse(404, {}, `Wallet change does not exist`));
+
+    if (walletChange.status !== "pending_approval")
+      return sendWalletChangeError(res, { error: "not_open" });
+
+    if (decision === "rejected") {
+      const rejected = await prisma.walletChange.update({
+        where: { id: walletChange.id },
+        data: {
+          status: "rejected",
+          reviewerId: req.user.id,
+          reviewNote: note,
+        },
+      });
+
+      return res
+        .status(200)
+        .json(new ApiResponse(200, rejected, `Wallet change rejected`));
+    }
+
+    const result = await applyWalletChange(walletChange.id, {
+      method: "admin_approval",
+      reviewerId: req.user.id,
+      note: note || null,
+    });
+
+    if (result.error) return sendWalletChangeError(res, result);
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, result.walletChange, `Wallet change approved`));
+  } catch (error) {
+    console.log(`error while reviewing wallet change ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
+
+export const getUserReferralTreeHandle = async (req, res) => {
+  try {
+    const schema = Joi.object({
+      depth: Joi.number().integer().min(1).max(MAX_TREE_DEPTH).default(3),
+    });
+
+    const { error, value } = schema.validate(req.query);
+
+    if (error) {
+      return res
+        .status(400)
+        .json(new ApiResponse(400, {}, error.details[0].message));
+    }
+
+    const userId = parseInt(req.params.userId);
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+
+    if (!user)
+      return res
+        .status(404)
+        .json(new ApiResponse(404, {}, `User does not exist`));
+
+    const tree = await getDownlineTree(userId, value.depth, {
+      includeEmail: true,
+      includeKycStatus: true,
+    });
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, tree, `Referral tree fetched successfully`));
+  } catch (error) {
+    console.log(`error while getting referral tree ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
+
+export const getUserUplineHandle = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+
+    if (!user)
+      return res
+        .status(404)
+        .json(new ApiResponse(404, {}, `User does not exist`));
+
+    const upline = await getUpline(userId, {
+      firstName: true,
+      lastName: true,
+      email: true,
+      referralCode: true,
+      walletAddress: true,
+      coreTeamMember: true,
+    });
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, upline, `Upline fetched successfully`));
+  } catch (error) {
+    console.log(`error while getting upline ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
@@ -0,0 +1,64 @@
+import { ApiResponse } from "../utils/ApiResponse.js";
+import {
+  auditLogQuerySchema,
+  auditLogWhere,
+  paginate,
+} from "../utils/listing.js";
+import { verifyAuditChain } from "../utils/audit.js";
+
+export const getAuditLogsHandle = async (req, res) => {
+  try {
+    const { error, value } = auditLogQuerySchema().validate(req.query);
+
+    if (error) {
+      return res
+        .status(400)
+        .json(new ApiResponse(400, {}, error.details[0].message));
+    }
+
+    const page = await paginate("auditLog", {
+      ...value,
+      where: auditLogWhere(value),
+      include: {
+        actor: {
+          select: { id: true, firstName: true, lastName: true, email: true },
+        },
+      },
+    });
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, page, `Audit logs fetched successfully`));
+  } catch (error) {
+    console.log(`error while getting audit logs ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
+
+export const verifyAuditLogHandle = async (req, res) => {
+  try {
+    const result = await verifyAuditChain();
+
+    if (!result.valid)
+      return res
+        .status(409)
+        .json(
+          new ApiResponse(
+            409,
+            { code: "AUDIT_CHAIN_BROKEN", ...result },
+            `Audit log chain is broken at entry ${result.brokenAt}`
+          )
+        );
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, result, `Audit log chain is intact`));
+  } catch (error) {
+    console.log(`error while verifying audit logs ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
@@ -0,0 +1,401 @@
+import Joi from "joi";
+import { Prisma } from "@prisma/client";
+import prisma from "../DB/config.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import {
+  CONTRACT_OPERATIONS,
+  simulateOperation,
+  submitOperation,
+  refreshProposalOutcome,
+} from "../Web3/Operations/contractOperations.js";
+
+// Approvals needed from admins other than the proposer
+const requiredApprovals = parseInt(
+  process.env.CONTRACT_OPERATION_APPROVALS || "1"
+);
+const proposalTtlHours = parseInt(
+  process.env.CONTRACT_OPERATION_TTL_HOURS || "24"
+);
+
+const proposalInclude = {
+  proposedBy: { select: { id: true, firstName: true, lastName: true } },
+  approvals: {
+    include: {
+      admin: { select: { id: true, firstName: true, lastName: true } },
+    },
+    orderBy: { createdAt: "asc" },
+  },
+};
+
+const expireStaleProposals = () =>
+  prisma.contractProposal.updateMany({
+    where: { status: "pending", expiresAt: { lt: new Date() } },
+    data: { status: "expired" },
+  });
+
+const findProposal = (id) =>
+  prisma.contractProposal.findUnique({
+    where: { id },
+    include: proposalInclude,
+  });
+
+const proposalNotOpen = (res, proposal) =>
+  res
+    .status(409)
+    .json(
+      new ApiResponse(
+        409,
+        { status: proposal.status },
+        `Proposal is ${proposal.status} and can no longer be reviewed`
+      )
+    );
+
+export const proposeContractOperationHandle = async (req, res) => {
+  try {
+    const schema = Joi.object({
+      method: Joi.string()
+        .valid(...Object.keys(CONTRACT_OPERATIONS))
+        .required(),
+      params: Joi.object().default({}),
+      reason: Joi.string().max(1000).required(),
+    });
+
+    const { error, value } = schema.validate(req.body);
+
+    if (error) {
+      return res
+        .status(400)
+        .json(new ApiResponse(400, {}, error.details[0].message));
+    }
+
+    const operation = CONTRACT_OPERATIONS[value.method];
+    const { error: paramsError, value: params } = operation.params.validate(
+      value.params
+    );
+
+    if (paramsError) {
+      return res
+        .status(400)
+        .json(new ApiResponse(400, {}, paramsError.details[0].message));
+    }
+
+    const simulation = await simulateOperation(value.method, params);
+
+    const proposal = await prisma.contractProposal.create({
+      data: {
+        method: value.method,
+        params,
+        reason: value.reason,
+        status: simulation.ok ? "pending" : "simulation_failed",
+        simulationError: simulation.ok ? null : simulation.error,
+        proposedById: req.user.id,
+        expiresAt: new Date(Date.now() + proposalTtlHours * 60 * 60 * 1000),
+      },
+      include: proposalInclude,
+    });
+
+    res.locals.audit = { targetId: proposal.id };
+
+    if (!simulation.ok)
+      return res
+        .status(422)
+        .json(
+          new ApiResponse(
+            422,
+            proposal,
+            `Simulation failed, the call would revert: ${simulation.error}`
+          )
+        );
+
+    return res
+      .status(201)
+      .json(
+        new ApiResponse(
+          200,
+          proposal,
+          `Proposal created, waiting for ${requiredApprovals} approval(s)`
+        )
+      );
+  } catch (error) {
+    console.log(`error while proposing contract operation ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
+
+export const getContractProposalsHandle = async (req, res) => {
+  try {
+    const schema = Joi.object({
+      status: Joi.string()
+        .valid(
+          "pending",
+          "simulation_failed",
+          "submitting",
+          "submitted",
+          "executed",
+          "failed",
+          "rejected",
+          "expired"
+        )
+        .optional(),
+    });
+
+    const { error, value } = schema.validate(req.query);
+
+    if (error) {
+      return res
+        .status(400)
+        .json(new ApiResponse(400, {}, error.details[0].message));
+    }
+
+    await expireStaleProposals();
+
+    const proposals = await prisma.contractProposal.findMany({
+      where: value.status ? { status: value.status } : {},
+      include: proposalInclude,
+      orderBy: { id: "desc" },
+      take: 100,
+    });
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, proposals, `Proposals fetched successfully`));
+  } catch (error) {
+    console.log(`error while getting contract proposals ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
+
+export const getContractProposalHandle = async (req, res) => {
+  try {
+    const proposal = await findProposal(parseInt(req.params.id));
+
+    if (!proposal)
+      return res
+        .status(404)
+        .json(new ApiResponse(404, {}, `Proposal does not exist`));
+
+    await refreshProposalOutcome(proposal);
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          await findProposal(proposal.id),
+          `Proposal fetched successfully`
+        )
+      );
+  } catch (error) {
+    console.log(`error while getting contract proposal ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
+
+// Record one admin's decision. Returns false when this admin already decided.
+const recordDecision = async (proposal, adminId, decision, note) => {
+  try {
+    await prisma.contractProposalApproval.create({
+      data: { proposalId: proposal.id, adminId, decision, note },
+    });
+    return true;
+  } catch (error) {
+    if (
+      error instanceof Prisma.PrismaClientKnownRequestError &&
+      error.code === "P2002"
+    )
+      return false;
+    throw error;
+  }
+};
+
+export const approveContractProposalHandle = async (req, res) => {
+  try {
+    const schema = Joi.object({
+      note: Joi.string().max(1000).optional().allow(""),
+    });
+
+    const { error, value } = schema.validate(req.body);
+
+    if (error) {
+      return res
+        .status(400)
+        .json(new ApiResponse(400, {}, error.details[0].message));
+    }
+
+    await expireStaleProposals();
+    const proposal = await findProposal(parseInt(req.params.id));
+
+    if (!proposal)
+      return res
+        .status(404)
+        .json(new ApiResponse(404, {}, `Proposal does not exist`));
+
+    if (proposal.status !== "pending") return proposalNotOpen(res, proposal);
+
+    if (proposal.proposedById === req.user.id)
+      return res
+        .status(403)
+        .json(
+          new ApiResponse(
+            403,
+            { code: "SELF_APPROVAL" },
+            `A proposal must be approved by a different admin`
+          )
+        );
+
+    if (!(await recordDecision(proposal, req.user.id, "approved", value.note)))
+      return res
+        .status(409)
+        .json(
+          new ApiResponse(409, {}, `You have already reviewed this proposal`)
+        );
+
+    const approvals = await prisma.contractProposalApproval.count({
+      where: { proposalId: proposal.id, decision: "approved" },
+    });
+
+    if (approvals < requiredApprovals)
+      return res
+        .status(200)
+        .json(
+          new ApiResponse(
+            200,
+            await findProposal(proposal.id),
+            `Approval recorded, ${requiredApprovals - approvals} more needed`
+          )
+        );
+
+    // Only one approver gets to send the transaction
+    const claimed = await prisma.contractProposal.updateMany({
+      where: { id: proposal.id, status: "pending" },
+      data: { status: "submitting" },
+    });
+
+    if (claimed.count !== 1) return proposalNotOpen(res, proposal);
+
+    let simulation;
+    let submitted;
+    try {
+      // Chain state may have changed since the proposal was made
+      simulation = await simulateOperation(proposal.method, proposal.params);
+
+      if (simulation.ok) submitted = await submitOperation(proposal);
+      else
+        await prisma.contractProposal.update({
+          where: { id: proposal.id },
+          data: {
+            status: "simulation_failed",
+            simulationError: simulation.error,
+          },
+        });
+    } catch (error) {
+      // Do not leave the proposal claimed but never sent
+      await prisma.contractProposal.updateMany({
+        where: { id: proposal.id, status: "submitting" },
+        data: { status: "failed", error: error.message },
+      });
+      throw error;
+    }
+
+    if (!simulation.ok)
+      return res
+        .status(422)
+        .json(
+          new ApiResponse(
+            422,
+            await findProposal(proposal.id),
+            `Simulation failed, the call would revert: ${simulation.error}`
+          )
+        );
+
+    if (submitted.status === "failed")
+      return res
+        .status(502)
+        .json(
+          new ApiResponse(
+            502,
+            await findProposal(proposal.id),
+            `Transaction could not be sent: ${submitted.error}`
+          )
+        );
+
+    return res
+      .status(202)
+      .json(
+        new ApiResponse(
+          202,
+          await findProposal(proposal.id),
+          `Proposal approved and transaction sent`
+        )
+      );
+  } catch (error) {
+    console.log(`error while approving contract proposal ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
+
+// Any admin, including the proposer, can stop a pending proposal
+export const rejectContractProposalHandle = async (req, res) => {
+  try {
+    const schema = Joi.object({
+      note: Joi.string().max(1000).required().messages({
+        "any.required": "A reason is required when rejecting a proposal",
+      }),
+    });
+
+    const { error, value } = schema.validate(req.body);
+
+    if (error) {
+      return res
+        .status(400)
+        .json(new ApiResponse(400, {}, error.details[0].message));
+    }
+
+    await expireStaleProposals();
+    const proposal = await findProposal(parseInt(req.params.id));
+
+    if (!proposal)
+      return res
+        .status(404)
+        .json(new ApiResponse(404, {}, `Proposal does not exist`));
+
+    if (proposal.status !== "pending") return proposalNotOpen(res, proposal);
+
+    if (!(await recordDecision(proposal, req.user.id, "rejected", value.note)))
+      return res
+        .status(409)
+        .json(
+          new ApiResponse(409, {}, `You have already reviewed this proposal`)
+        );
+
+    const rejected = await prisma.contractProposal.updateMany({
+      where: { id: proposal.id, status: "pending" },
+      data: { status: "rejected" },
+    });
+
+    if (rejected.count !== 1) return proposalNotOpen(res, proposal);
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          await findProposal(proposal.id),
+          `Proposal rejected`
+        )
+      );
+  } catch (error) {
+    console.log(`error while rejecting contract proposal ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
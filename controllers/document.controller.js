@@ -0,0 +1,46 @@
+import path from "path";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { documentStorage } from "../utils/storage.js";
+import { verifyDocumentSignature } from "../utils/signedUrl.js";
+
+const CONTENT_TYPES = {
+  ".jpg": "image/jpeg",
+  ".png": "image/png",
+  ".pdf": "application/pdf",
+};
+
+export const downloadDocumentHandle = async (req, res) => {
+  try {
+    const { key } = req.params;
+    const { expires, signature } = req.query;
+
+    if (!verifyDocumentSignature(key, expires, signature))
+      return res
+        .status(403)
+        .json(new ApiResponse(403, {}, `Link is invalid or has expired`));
+
+    if (!(await documentStorage.exists(key)))
+      return res
+        .status(404)
+        .json(new ApiResponse(404, {}, `Document does not exist`));
+
+    const stream = await documentStorage.read(key);
+
+    res.set({
+      "Content-Type":
+        CONTENT_TYPES[path.extname(key)] || "application/octet-stream",
+      "Cache-Control": "private, no-store",
+      "X-Content-Type-Options": "nosniff",
+    });
+    stream.on("error", (error) => {
+      console.log(`error while streaming document ${error.message}`);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.log(`error while downloading document ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
@@ -0,0 +1,229 @@
+import Joi from "joi";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import {
+  batchRows,
+  formatAmount,
+  formatDate,
+  streamExport,
+  EXPORT_FORMATS,
+} from "../utils/export.js";
+import {
+  transactionFilterKeys,
+  transactionWhere,
+  referralFilterKeys,
+  referralWhere,
+  payoutFilterKeys,
+  payoutWhere,
+  approvedUserFilterKeys,
+  approvedUserWhere,
+} from "../utils/listing.js";
+import { getTokenDecimals } from "../Web3/Provider/tokenInfo.js";
+
+const userSummary = {
+  select: { id: true, email: true, walletAddress: true },
+};
+
+// Validate the query, then stream the export. Once streaming has started the
+// status is already sent, so a failure can only cut the download short.
+const exportHandler = (name, filterKeys, buildExport) => async (req, res) => {
+  try {
+    const schema = Joi.object({
+      format: Joi.string()
+        .valid(...EXPORT_FORMATS)
+        .default("csv"),
+      ...filterKeys,
+    });
+
+    const { error, value } = schema.validate(req.query);
+
+    if (error) {
+      return res
+        .status(400)
+        .json(new ApiResponse(400, {}, error.details[0].message));
+    }
+
+    // Only builders that format token amounts take the decimals
+    const decimals = buildExport.length > 1 ? await getTokenDecimals() : null;
+    const { columns, rows } = buildExport(value, decimals);
+
+    await streamExport(res, { format: value.format, name, columns, rows });
+  } catch (error) {
+    console.log(`error while exporting ${name} ${error.message}`);
+    if (res.headersSent) return res.destroy(error);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
+
+export const exportTransactionsHandle = exportHandler(
+  "transactions",
+  transactionFilterKeys({ staff: true }),
+  (filters, decimals) => ({
+    rows: batchRows("transaction", {
+      where: transactionWhere(filters),
+      include: { user: userSummary },
+    }),
+    columns: [
+      { header: "id", value: (tx) => tx.id },
+      {
+        header: "transactionHash",
+        value: (tx) => tx.transactionHash,
+        width: 68,
+      },
+      { header: "logIndex", value: (tx) => tx.logIndex },
+      { header: "type", value: (tx) => tx.type },
+      { header: "status", value: (tx) => tx.status },
+      { header: "userId", value: (tx) => tx.userId },
+      { header: "email", value: (tx) => tx.user.email, width: 30 },
+      { header: "wallet", value: (tx) => tx.user.walletAddress, width: 44 },
+      {
+        header: "tokenAmount",
+        value: (tx) => formatAmount(tx.amount, decimals.token),
+      },
+      {
+        header: "priceUsdt",
+        value: (tx) => formatAmount(tx.price, decimals.usdt),
+      },
+      // reward rows keep the rewarded token amount in `value`
+      {
+        header: "value",
+        value: (tx) =>
+          formatAmount(
+            tx.value,
+            tx.type === "reward" ? decimals.token : decimals.usdt
+          ),
+      },
+      { header: "blockNumber", value: (tx) => tx.blockNumber },
+      {
+        header: "unlockTime",
+        value: (tx) =>
+          tx.unlockTime
+            ? formatDate(new Date(Number(tx.unlockTime) * 1000))
+            : "",
+      },
+      { header: "createdAt", value: (tx) => formatDate(tx.createdAt) },
+    ],
+  })
+);
+
+export const exportPayoutsHandle = exportHandler(
+  "reward-payouts",
+  payoutFilterKeys(),
+  (filters, decimals) => ({
+    rows: batchRows("payoutJob", {
+      where: payoutWhere(filters),
+      select: {
+        id: true,
+        kind: true,
+        recipient: true,
+        amount: true,
+        lockTime: true,
+        status: true,
+        txHash: true,
+        blockNumber: true,
+        referralRewardId: true,
+        stakingRewardId: true,
+        createdAt: true,
+        confirmedAt: true,
+      },
+    }),
+    columns: [
+      { header: "id", value: (job) => job.id },
+      { header: "kind", value: (job) => job.kind },
+      { header: "recipient", value: (job) => job.recipient, width: 44 },
+      {
+        header: "tokenAmount",
+        value: (job) => formatAmount(job.amount, decimals.token),
+      },
+      { header: "lockTimeSeconds", value: (job) => job.lockTime },
+      { header: "status", value: (job) => job.status },
+      { header: "txHash", value: (job) => job.txHash, width: 68 },
+      { header: "blockNumber", value: (job) => job.blockNumber },
+      { header: "referralRewardId", value: (job) => job.referralRewardId },
+      { header: "stakingRewardId", value: (job) => job.stakingRewardId },
+      { header: "createdAt", value: (job) => formatDate(job.createdAt) },
+      { header: "confirmedAt", value: (job) => formatDate(job.confirmedAt) },
+    ],
+  })
+);
+
+export const exportReferralsHandle = exportHandler(
+  "referrals",
+  referralFilterKeys({ staff: true }),
+  (filters) => ({
+    rows: batchRows("referral", {
+      where: referralWhere(filters),
+      include: { referrer: userSummary, referred: userSummary },
+    }),
+    columns: [
+      { header: "id", value: (ref) => ref.id },
+      { header: "referrerId", value: (ref) => ref.referrerId },
+      {
+        header: "referrerEmail",
+        value: (ref) => ref.referrer.email,
+        width: 30,
+      },
+      {
+        header: "referrerWallet",
+        value: (ref) => ref.referrer.walletAddress,
+        width: 44,
+      },
+      { header: "referredId", value: (ref) => ref.referredId },
+      {
+        header: "referredEmail",
+        value: (ref) => ref.referred.email,
+        width: 30,
+      },
+      {
+        header: "referredWallet",
+        value: (ref) => ref.referred.walletAddress,
+        width: 44,
+      },
+      { header: "createdAt", value: (ref) => formatDate(ref.createdAt) },
+    ],
+  })
+);
+
+export const exportApprovedUsersHandle = exportHandler(
+  "kyc-approved-users",
+  approvedUserFilterKeys(),
+  (filters) => ({
+    rows: batchRows("user", {
+      where: approvedUserWhere(filters),
+      select: {
+        id: true,
+        firstName: true,
+        lastName: true,
+        email: true,
+        country: true,
+        state: true,
+        city: true,
+        walletAddress: true,
+        documentId: true,
+        kycReviews: {
+          where: { toStatus: "approved" },
+          orderBy: { createdAt: "desc" },
+          take: 1,
+          select: { createdAt: true, reviewerId: true },
+        },
+      },
+    }),
+    columns: [
+      { header: "id", value: (user) => user.id },
+      { header: "firstName", value: (user) => user.firstName },
+      { header: "lastName", value: (user) => user.lastName },
+      { header: "email", value: (user) => user.email, width: 30 },
+      { header: "country", value: (user) => user.country },
+      { header: "state", value: (user) => user.state },
+      { header: "city", value: (user) => user.city },
+      { header: "wallet", value: (user) => user.walletAddress, width: 44 },
+      { header: "documentId", value: (user) => user.documentId },
+      {
+        header: "approvedAt",
+        value: (user) => formatDate(user.kycReviews[0]?.createdAt),
+      },
+      { header: "approvedBy", value: (user) => user.kycReviews[0]?.reviewerId },
+    ],
+  })
+);
@@ -0,0 +1,254 @@
+import Joi from "joi";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import {
+  computeLeaderboard,
+  createSnapshot,
+  getSnapshotLeaderboard,
+  lastCompletedPeriodStart,
+  maskName,
+  periodStart,
+  rankLeaderboard,
+  LEADERBOARD_METRICS,
+  SNAPSHOT_PERIODS,
+} from "../utils/leaderboard.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const rankingKeys = {
+  sortBy: Joi.string()
+    .valid(...LEADERBOARD_METRICS)
+    .default("signups"),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+};
+
+const snapshotSchema = Joi.object({
+  period: Joi.string()
+    .valid(...SNAPSHOT_PERIODS)
+    .default("weekly"),
+  date: Joi.date().iso().optional(),
+  ...rankingKeys,
+});
+
+const snapshotStart = ({ period, date }) =>
+  date ? periodStart(period, date) : lastCompletedPeriodStart(period);
+
+const snapshotNotFound = (res) =>
+  res
+    .status(404)
+    .json(
+      new ApiResponse(
+        404,
+        { code: "SNAPSHOT_NOT_FOUND" },
+        `Leaderboard for this period is not available`
+      )
+    );
+
+// Names reduced to "Jo*** S." and no ids, for anyone to see
+const maskEntry = ({ userId, firstName, lastName, ...entry }) => ({
+  ...entry,
+  name: maskName(firstName, lastName),
+});
+
+const leaderboardResponse = (leaderboard, limit, mapEntry) => ({
+  period: leaderboard.period,
+  periodStart: leaderboard.periodStart,
+  periodEnd: leaderboard.periodEnd,
+  totalReferrers: leaderboard.entries.length,
+  entries: leaderboard.entries.slice(0, limit).map(mapEntry),
+});
+
+export const getPublicLeaderboardHandle = async (req, res) => {
+  try {
+    const { error, value } = snapshotSchema.validate(req.query);
+
+    if (error) {
+      return res
+        .status(400)
+        .json(new ApiResponse(400, {}, error.details[0].message));
+    }
+
+    const leaderboard = await getSnapshotLeaderboard(
+      value.period,
+      snapshotStart(value),
+      value.sortBy
+    );
+
+    if (!leaderboard) return snapshotNotFound(res);
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          leaderboardResponse(leaderboard, value.limit, maskEntry),
+          `Leaderboard fetched successfully`
+        )
+      );
+  } catch (error) {
+    console.log(`error while getting public leaderboard ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
+
+// Same as the public leaderboard, plus the caller's own row and rank
+export const getMyLeaderboardHandle = async (req, res) => {
+  try {
+    const { error, value } = snapshotSchema.validate(req.query);
+
+    if (error) {
+      return res
+        .status(400)
+        .json(new ApiResponse(400, {}, error.details[0].message));
+    }
+
+    const leaderboard = await getSnapshotLeaderboard(
+      value.period,
+      snapshotStart(value),
+      value.sortBy
+    );
+
+    if (!leaderboard) return snapshotNotFound(res);
+
+    const own = (entry) => entry.userId === req.user.id;
+    const me = leaderboard.entries.find(own) || null;
+
+    return res.status(200).json(
+      new ApiResponse(
+        200,
+        {
+          ...leaderboardResponse(leaderboard, value.limit, (entry) =>
+            own(entry) ? { ...maskEntry(entry), isMe: true } : maskEntry(entry)
+          ),
+          me,
+        },
+        `Leaderboard fetched successfully`
+      )
+    );
+  } catch (error) {
+    console.log(`error while getting leaderboard ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
+
+// Live leaderboard over any window, computed on request
+export const getLiveLeaderboardHandle = async (req, res) => {
+  try {
+    const schema = Joi.object({
+      from: Joi.date().iso().optional(),
+      to: Joi.date().iso().greater(Joi.ref("from")).optional(),
+      ...rankingKeys,
+    });
+
+    const { error, value } = schema.validate(req.query);
+
+    if (error) {
+      return res
+        .status(400)
+        .json(new ApiResponse(400, {}, error.details[0].message));
+    }
+
+    const to = value.to || new Date();
+    const from = value.from || new Date(to.getTime() - 7 * DAY_MS);
+
+    const entries = rankLeaderboard(
+      await computeLeaderboard(from, to),
+      value.sortBy
+    );
+
+    return res.status(200).json(
+      new ApiResponse(
+        200,
+        {
+          from,
+          to,
+          totalReferrers: entries.length,
+          entries: entries.slice(0, value.limit),
+        },
+        `Leaderboard fetched successfully`
+      )
+    );
+  } catch (error) {
+    console.log(`error while computing leaderboard ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
+
+export const getLeaderboardSnapshotHandle = async (req, res) => {
+  try {
+    const { error, value } = snapshotSchema.validate(req.query);
+
+    if (error) {
+      return res
+        .status(400)
+        .json(new ApiResponse(400, {}, error.details[0].message));
+    }
+
+    const leaderboard = await getSnapshotLeaderboard(
+      value.period,
+      snapshotStart(value),
+      value.sortBy
+    );
+
+    if (!leaderboard) return snapshotNotFound(res);
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          leaderboardResponse(leaderboard, value.limit, (entry) => entry),
+          `Leaderboard fetched successfully`
+        )
+      );
+  } catch (error) {
+    console.log(`error while getting leaderboard snapshot ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
+
+// Build a missed snapshot by hand (the background job covers only the most
+// recent day and week)
+export const createLeaderboardSnapshotHandle = async (req, res) => {
+  try {
+    const schema = Joi.object({
+      period: Joi.string()
+        .valid(...SNAPSHOT_PERIODS)
+        .required(),
+      date: Joi.date().iso().required(),
+    });
+
+    const { error, value } = schema.validate(req.body);
+
+    if (error) {
+      return res
+        .status(400)
+        .json(new ApiResponse(400, {}, error.details[0].message));
+    }
+
+    const start = periodStart(value.period, value.date);
+
+    if (lastCompletedPeriodStart(value.period) < start)
+      return res
+        .status(409)
+        .json(new ApiResponse(409, {}, `This period has not ended yet`));
+
+    const snapshot = await createSnapshot(value.period, start);
+
+    return res
+      .status(201)
+      .json(new ApiResponse(200, snapshot, `Leaderboard snapshot created`));
+  } catch (error) {
+    console.log(`error while creating leaderboard snapshot ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
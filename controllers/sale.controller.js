@@ -0,0 +1,33 @@
+import { ApiResponse } from "../utils/ApiResponse.js";
+import {
+  getSaleStatus,
+  SALE_STATUS_CACHE_MS,
+} from "../Web3/Sale/saleStatus.js";
+
+export const saleStatusHandle = async (req, res) => {
+  try {
+    const { status, fetchedAt, stale } = await getSaleStatus();
+
+    res.set(
+      "Cache-Control",
+      `public, max-age=${Math.floor(SALE_STATUS_CACHE_MS / 1000)}`
+    );
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { ...status, fetchedAt, stale },
+          `Sale status fetched successfully`
+        )
+      );
+  } catch (error) {
+    console.log(`error while getting sale status ${error.message}`);
+    return res
+      .status(503)
+      .json(
+        new ApiResponse(503, {}, `Sale status is unavailable, try again later`)
+      );
+  }
+};
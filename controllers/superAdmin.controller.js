@@ -0,0 +1,275 @@
+import crypto from "crypto";
+import Joi from "joi";
+import prisma from "../DB/config.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+
+const bootstrapToken = process.env.SUPERADMIN_BOOTSTRAP_TOKEN;
+
+const adminSelect = {
+  id: true,
+  firstName: true,
+  lastName: true,
+  email: true,
+  roll: true,
+  adminProfile: true,
+};
+
+const isValidBootstrapToken = (token) => {
+  if (!bootstrapToken || !token) return false;
+
+  const expected = crypto.createHash("sha256").update(bootstrapToken).digest();
+  const received = crypto.createHash("sha256").update(token).digest();
+  return crypto.timingSafeEqual(expected, received);
+};
+
+// Promotes an existing verified user to SUPERADMIN. Only works while no super
+// admin exists and with the SUPERADMIN_BOOTSTRAP_TOKEN from the server env.
+export const bootstrapSuperAdminHandle = async (req, res) => {
+  try {
+    const { email, token } = req.body;
+
+    const schema = Joi.object({
+      email: Joi.string().email().required(),
+      token: Joi.string().required(),
+    });
+
+    const { error } = schema.validate(req.body);
+
+    if (error) {
+      return res
+        .status(400)
+        .json(new ApiResponse(400, {}, error.details[0].message));
+    }
+
+    if (!isValidBootstrapToken(token))
+      return res.status(403).json(new ApiResponse(403, {}, `Access Forbidden`));
+
+    const user = await prisma.user.findUnique({ where: { email } });
+
+    if (!user || !user.isVerified)
+      return res
+        .status(404)
+        .json(new ApiResponse(404, {}, `Verified user does not exist`));
+
+    const superAdmin = await prisma.$transaction(
+      async (tx) => {
+        const existing = await tx.user.count({
+          where: { roll: "SUPERADMIN" },
+        });
+
+        if (existing > 0) return null;
+
+        await tx.admin.upsert({
+          where: { userId: user.id },
+          update: {
+            promotedById: null,
+            promotedAt: new Date(),
+            demotedById: null,
+            demotedAt: null,
+          },
+          create: {
+            userId: user.id,
+            name: `${user.firstName} ${user.lastName}`,
+          },
+        });
+
+        return tx.user.update({
+          where: { id: user.id },
+          data: { roll: "SUPERADMIN" },
+          select: adminSelect,
+        });
+      },
+      { isolationLevel: "Serializable" }
+    );
+
+    if (!superAdmin)
+      return res
+        .status(409)
+        .json(new ApiResponse(409, {}, `Super admin already exists`));
+
+    res.locals.audit = {
+      actor: superAdmin,
+      targetId: superAdmin.id,
+      before: { roll: user.roll },
+      after: { roll: superAdmin.roll },
+    };
+
+    return res
+      .status(201)
+      .json(
+        new ApiResponse(200, superAdmin, `Super admin created successfully`)
+      );
+  } catch (error) {
+    console.log(`error while bootstrapping super admin ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
+
+export const createAdminHandle = async (req, res) => {
+  try {
+    const { userId } = req.body;
+
+    const schema = Joi.object({
+      userId: Joi.number().integer().required(),
+    });
+
+    const { error } = schema.validate(req.body);
+
+    if (error) {
+      return res
+        .status(400)
+        .json(new ApiResponse(400, {}, error.details[0].message));
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+
+    if (!user)
+      return res
+        .status(404)
+        .json(new ApiResponse(404, {}, `User does not exist`));
+
+    if (!user.isVerified)
+      return res
+        .status(400)
+        .json(new ApiResponse(400, {}, `User has not verified their account`));
+
+    if (user.roll !== "USER")
+      return res
+        .status(409)
+        .json(new ApiResponse(409, {}, `User is already an admin`));
+
+    const [admin] = await prisma.$transaction([
+      prisma.user.update({
+        where: { id: user.id },
+        data: { roll: "ADMIN" },
+        select: adminSelect,
+      }),
+      prisma.admin.upsert({
+        where: { userId: user.id },
+        update: {
+          promotedById: req.user.id,
+          promotedAt: new Date(),
+          demotedById: null,
+          demotedAt: null,
+        },
+        create: {
+          userId: user.id,
+          name: `${user.firstName} ${user.lastName}`,
+          promotedById: req.user.id,
+        },
+      }),
+    ]);
+
+    return res
+      .status(201)
+      .json(new ApiResponse(200, admin, `Admin created successfully`));
+  } catch (error) {
+    console.log(`error while creating admin ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
+
+export const demoteAdminHandle = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+
+    if (!user || user.roll !== "ADMIN")
+      return res
+        .status(404)
+        .json(new ApiResponse(404, {}, `Admin does not exist`));
+
+    const [admin] = await prisma.$transaction([
+      prisma.user.update({
+        where: { id: user.id },
+        data: { roll: "USER" },
+        select: adminSelect,
+      }),
+      prisma.admin.upsert({
+        where: { userId: user.id },
+        update: { demotedById: req.user.id, demotedAt: new Date() },
+        create: {
+          userId: user.id,
+          name: `${user.firstName} ${user.lastName}`,
+          demotedById: req.user.id,
+          demotedAt: new Date(),
+        },
+      }),
+    ]);
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, admin, `Admin demoted successfully`));
+  } catch (error) {
+    console.log(`error while demoting admin ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
+
+export const getAdminsHandle = async (req, res) => {
+  try {
+    const admins = await prisma.user.findMany({
+      where: { roll: { in: ["ADMIN", "SUPERADMIN"] } },
+      select: adminSelect,
+    });
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, admins, `Admins fetched successfully`));
+  } catch (error) {
+    console.log(`error while getting admins ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
+
+export const getAdminActionsHandle = async (req, res) => {
+  try {
+    const { userId, limit } = req.query;
+
+    const schema = Joi.object({
+      userId: Joi.number().integer().optional(),
+      limit: Joi.number().integer().min(1).max(500).optional(),
+    });
+
+    const { error } = schema.validate(req.query);
+
+    if (error) {
+      return res
+        .status(400)
+        .json(new ApiResponse(400, {}, error.details[0].message));
+    }
+
+    // Admin actions live in the audit log, attributed to the admin's role
+    const actions = await prisma.auditLog.findMany({
+      where: {
+        actorRole: { in: ["ADMIN", "SUPERADMIN"] },
+        ...(userId && { actorId: parseInt(userId) }),
+      },
+      include: {
+        actor: { select: { id: true, firstName: true, lastName: true } },
+      },
+      orderBy: { createdAt: "desc" },
+      take: limit ? parseInt(limit) : 100,
+    });
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(200, actions, `Admin actions fetched successfully`)
+      );
+  } catch (error) {
+    console.log(`error while getting admin actions ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
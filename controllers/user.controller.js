@@ -1,42 +1,87 @@
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { verifyOtpMail } from "../utils/email.js";
-import Jwt from "jsonwebtoken";
 
+import { Prisma } from "@prisma/client";
 import prisma from "../DB/config.js";
 import bcrypt from "bcrypt";
+import crypto from "crypto";
 import Joi from "joi";
+import { ethers } from "ethers";
+import { getExpirationTime, generateCode } from "../utils/helpers.js";
 import {
-  generateOTP,
-  getExpirationTime,
-  generateCode,
-} from "../utils/helpers.js";
+  issueOtp,
+  verifyOtp,
+  sendOtpError,
+  OTP_PURPOSES,
+} from "../utils/otp.js";
 
-import { contractInstance } from "../Web3/Provider/provider.js";
+import { getBlockTime, readContract } from "../Web3/Provider/provider.js";
+import {
+  decodeContractLogs,
+  tokenPriceFromAmounts,
+} from "../Web3/Events/decoder.js";
+import {
+  recordReferralRewards,
+  getPurchasePhase,
+} from "../utils/referralRewards.js";
+import { enqueuePayout } from "../Web3/Payout/payoutQueue.js";
+import { getPortfolio } from "../Web3/Sale/portfolio.js";
+import { phaseOfPurchase } from "../Web3/Sale/salePhase.js";
+import {
+  canTransitionKyc,
+  isKycApproved,
+  transitionKyc,
+} from "../utils/kyc.js";
+import { signDocumentUrl } from "../utils/signedUrl.js";
+import { removeDocuments, storeDocuments } from "../utils/storage.js";
+import {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  hashToken,
+} from "../utils/session.js";
+import {
+  isTwoFactorEnabled,
+  startEnrollment,
+  confirmEnrollment,
+  verifyTwoFactor,
+  generateRecoveryCodes,
+  disableTwoFactor,
+  createLoginChallenge,
+  findLoginChallenge,
+  completeLoginChallenge,
+  sendTwoFactorError,
+} from "../utils/twoFactor.js";
+import {
+  issueWalletChallenge,
+  verifyWalletSignature,
+  sendWalletSignatureError,
+  WALLET_CHALLENGE_PURPOSES,
+  checkChallengeRate,
+  pruneWalletChallenges,
+} from "../utils/siwe.js";
+import {
+  applyWalletChange,
+  sendWalletChangeError,
+  OPEN_WALLET_CHANGE_STATUSES,
+} from "../utils/walletChange.js";
+import {
+  paginate,
+  transactionQuerySchema,
+  transactionWhere,
+  referralQuerySchema,
+  referralWhere,
+} from "../utils/listing.js";
+import { hasPermission } from "../utils/permissions.js";
+import { writeAuditLog } from "../utils/audit.js";
+import {
+  getDownlineTree,
+  getUpline,
+  MAX_TREE_DEPTH,
+} from "../utils/referralTree.js";
 
-const baseUrl = process.env.BASE_URL;
 const liveBaseUrl = process.env.CHAINSPHERE_URL;
-const secretKey = process.env.JWT_SECRET_KEY;
-
-// Helper function to find the root user (the first user in the referral tree)
-const findRootUser = async (userId) => {
-  let currentUser = await prisma.referral.findUnique({
-    where: { referredId: userId },
-    include: { referrer: true },
-  });
-
-  while (currentUser && currentUser.referrer) {
-    currentUser = await prisma.referral.findUnique({
-      where: { referredId: currentUser.referrer.id },
-      include: { referrer: true },
-    });
-
-    if (!currentUser || !currentUser.referrer) {
-      return currentUser?.referrer || null; // Root user found (no more referrer above)
-    }
-  }
-
-  return null;
-};
 
 export const userSignupHandle = async (req, res) => {
   try {
@@ -92,9 +137,7 @@ export const userSignupHandle = async (req, res) => {
         .json(new ApiResponse(400, {}, `User already exists, please login`));
     }
 
-    // Generate OTP & Hash Password
-    const otp = generateOTP();
-    const expiryTime = getExpirationTime();
+    // Hash Password
     const hashedPassword = await bcrypt.hash(password, 10);
 
     // Generate a unique referral code
@@ -113,8 +156,6 @@ export const userSignupHandle = async (req, res) => {
         dob,
         address,
         zipCode,
-        otp,
-        otpExpiresAt: expiryTime,
         referralCode: newReferralCode,
       },
     });
@@ -136,7 +177,8 @@ export const userSignupHandle = async (req, res) => {
     }
 
     // Send OTP Email
-    await verifyOtpMail(firstName, email, otp);
+    const { code } = await issueOtp(newUser.id, OTP_PURPOSES.SIGNUP);
+    await verifyOtpMail(firstName, email, code);
 
     return res
       .status(201)
@@ -182,34 +224,21 @@ export const verifyOtpHandle = async (req, res) => {
         .json(new ApiResponse(404, {}, `User does not exist, please sign up`));
     }
 
-    console.log(user.otp, user.otpExpiresAt, new Date());
-    // Check if OTP exists and is not expired
-    if (!user.otp || !user.otpExpiresAt || new Date() > user.otpExpiresAt) {
+    if (user.isVerified) {
       return res
         .status(400)
-        .json(
-          new ApiResponse(
-            400,
-            {},
-            `OTP is expired or invalid. Please request a new one.`
-          )
-        );
+        .json(new ApiResponse(400, {}, `Account is already verified`));
     }
 
-    // Secure OTP comparison
-    if (otp !== user.otp) {
-      return res
-        .status(400)
-        .json(new ApiResponse(400, {}, `Invalid OTP. Please try again.`));
-    }
+    const result = await verifyOtp(user.id, OTP_PURPOSES.SIGNUP, otp);
+
+    if (!result.ok) return sendOtpError(res, result);
 
-    // Update user as verified and clear OTP fields
+    // Update user as verified
     await prisma.user.update({
       where: { email },
       data: {
         isVerified: true,
-        otp: null,
-        otpExpiresAt: null,
       },
     });
 
@@ -254,22 +283,20 @@ export const resendOtpHandle = async (req, res) => {
         .status(401)
         .json(new ApiResponse(400, {}, `Couldn't find user`));
 
-    const otp = generateOTP();
-    const expiryOtp = getExpirationTime();
+    if (user.isVerified)
+      return res
+        .status(400)
+        .json(new ApiResponse(400, {}, `Account is already verified`));
 
-    await prisma.user.update({
-      where: { email },
-      data: {
-        otp: otp,
-        otpExpiresAt: expiryOtp,
-      },
-    });
+    const result = await issueOtp(user.id, OTP_PURPOSES.SIGNUP);
+
+    if (!result.code) return sendOtpError(res, result);
 
-    await verifyOtpMail(user.firstName, email, otp);
+    await verifyOtpMail(user.firstName, email, result.code);
 
     return res
       .status(201)
-      .json(new ApiResponse(200, { otp: otp }, `OTP sent successfully`));
+      .json(new ApiResponse(200, {}, `OTP sent successfully`));
   } catch (error) {
     console.log(`error while resending otp ${error.message}`);
     return res
@@ -278,6 +305,83 @@ export const resendOtpHandle = async (req, res) => {
   }
 };
 
+const walletAddressSchema = Joi.string()
+  .custom((value, helpers) =>
+    ethers.isAddress(value)
+      ? ethers.getAddress(value)
+      : helpers.error("any.invalid")
+  )
+  .required()
+  .messages({ "any.invalid": "Invalid wallet address" });
+
+// Fields returned with a fresh login
+const loginUserResponse = (user) => ({
+  id: user.id,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  email: user.email,
+  country: user.country,
+  state: user.state,
+  city: user.city,
+  referralCode: user.referralCode,
+  walletAddress: user.walletAddress,
+});
+
+// Finish a first-factor login (password or wallet signature): hand out a
+// session, or a challenge for /login/2fa when the user has 2FA enabled
+// Failed logins are written here; the audit middleware only records
+// successful requests. There is no actor since nobody is logged in.
+const auditFailedLogin = (req, loginMethod, reason, details = {}) =>
+  writeAuditLog(req, {
+    action: "auth.login.failed",
+    targetType: "User",
+    targetId: details.userId ?? null,
+    actor: null,
+    metadata: {
+      loginMethod,
+      reason,
+      path: req.originalUrl.split("?")[0],
+      ...details,
+    },
+  });
+
+const sendLoginResponse = async (req, res, user, loginMethod) => {
+  const twoFactorRequired = await isTwoFactorEnabled(user.id);
+
+  res.locals.audit = {
+    actor: user,
+    targetId: user.id,
+    after: null,
+    metadata: { loginMethod, twoFactorRequired },
+  };
+
+  if (twoFactorRequired) {
+    const challenge = await createLoginChallenge(user.id);
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { twoFactorRequired: true, ...challenge },
+          `Enter the code from your authenticator app to finish logging in`
+        )
+      );
+  }
+
+  const { token, refreshToken } = await createSession(user, req);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { user: loginUserResponse(user), token, refreshToken },
+        `user logged in successfully`
+      )
+    );
+};
+
 export const loginHandle = async (req, res) => {
   try {
     const { email, password } = req.body;
@@ -307,75 +411,92 @@ export const loginHandle = async (req, res) => {
     });
 
     if (!user || !(await bcrypt.compare(password, user.password))) {
+      await auditFailedLogin(req, "password", "invalid_credentials", {
+        userId: user?.id,
+        email,
+      });
       return res
         .status(401)
         .json(new ApiResponse(400, {}, `Invalid login credentials`));
     }
 
     if (user.isVerified == false) {
+      await auditFailedLogin(req, "password", "not_verified", {
+        userId: user.id,
+      });
       return res
         .status(401)
         .json(new ApiResponse(400, {}, `please verify your account first`));
-    } else {
-      const token = Jwt.sign(
-        { userId: user.id, email: user.email },
-        secretKey,
-        { expiresIn: "3d" }
-      );
-      const userResponse = {
-        id: user.id,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        email: user.email,
-        country: user.country,
-        state: user.state,
-        city: user.city,
-        referralCode: user.referralCode,
-        walletAddress: user.walletAddress,
-      };
+    }
+
+    return sendLoginResponse(req, res, user, "password");
+  } catch (error) {
+    console.log(`error while login ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server error`));
+  }
+};
+
+export const siweNonceHandle = async (req, res) => {
+  try {
+    const schema = Joi.object({ address: walletAddressSchema });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res
+        .status(400)
+        .json(new ApiResponse(400, {}, error.details[0].message));
+    }
 
+    const limited = await checkChallengeRate({
+      purpose: WALLET_CHALLENGE_PURPOSES.LOGIN,
+      address: value.address,
+      ip: req.ip || null,
+    });
+
+    if (limited)
       return res
-        .status(200)
+        .status(429)
         .json(
           new ApiResponse(
-            200,
-            { user: userResponse, token: token },
-            `user logged in successfully`
+            429,
+            { code: "SIWE_RATE_LIMITED", retryAfter: limited.retryAfter },
+            `Too many sign-in requests. Please try again in ${limited.retryAfter} seconds.`
           )
         );
-    }
+
+    await pruneWalletChallenges();
+
+    // Issued whether or not the wallet is bound, so the endpoint does not
+    // reveal which wallets belong to accounts
+    const challenge = await issueWalletChallenge({
+      address: value.address,
+      purpose: WALLET_CHALLENGE_PURPOSES.LOGIN,
+      statement: `Sign in to ChainSphere with this wallet.`,
+      ip: req.ip || null,
+    });
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(200, challenge, `Sign the message with your wallet`)
+      );
   } catch (error) {
-    console.log(`error while login ${error.message}`);
+    console.log(`error while creating siwe nonce ${error.message}`);
     return res
       .status(501)
-      .json(new ApiResponse(500, {}, `Internal Server error`));
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
   }
 };
 
-export const changePasswordHandle = async (req, res) => {
+export const siweLoginHandle = async (req, res) => {
   try {
-    const { email, password, confirmPassword } = req.body;
-
-    console.log(`req.body ------------>`, req.body);
-    
+    const { message, signature } = req.body;
 
-    // ✅ Validate input
     const schema = Joi.object({
-      email: Joi.string().required().messages({
-        "any.required": "Email is required",
-      }),
-
-      password: Joi.string().min(8).required().messages({
-        "string.min": "New password must be at least 8 characters long",
-        "any.required": "New password is required",
-      }),
-      confirmPassword: Joi.string()
-        .valid(Joi.ref("password"))
-        .required()
-        .messages({
-          "any.only": "Confirm Password must match New Password",
-          "any.required": "Confirm Password is required",
-        }),
+      message: Joi.string().max(2000).required(),
+      signature: Joi.string().required(),
     });
 
     const { error } = schema.validate(req.body);
@@ -385,386 +506,1295 @@ export const changePasswordHandle = async (req, res) => {
         .json(new ApiResponse(400, {}, error.details[0].message));
     }
 
-    // ✅ Check if user exists
-    const user = await prisma.user.findUnique({
-      where: { email },
-    });
+    const result = await verifyWalletSignature(
+      { message, signature },
+      { purpose: WALLET_CHALLENGE_PURPOSES.LOGIN }
+    );
 
-    if (!user)
-      return res
-        .status(404)
-        .json(new ApiResponse(404, {}, `User does not exist`));
+    if (result.error) {
+      await auditFailedLogin(req, "siwe", result.error);
+      return sendWalletSignatureError(res, result);
+    }
 
-    // ✅ Is Same Password
-    const isSamePassword = await bcrypt.compare(password, user.password);
+    const user = await prisma.user.findFirst({
+      where: { walletAddress: result.address },
+    });
 
-    if (isSamePassword)
+    if (!user) {
+      await auditFailedLogin(req, "siwe", "wallet_not_bound", {
+        address: result.address,
+      });
       return res
         .status(401)
         .json(
           new ApiResponse(
-            400,
-            {},
-            `old password and new password must be different`
+            401,
+            { code: "WALLET_NOT_BOUND" },
+            `This wallet is not linked to an account`
           )
         );
+    }
 
-    // ✅ Hash new password
-    const hashedPassword = await bcrypt.hash(password, 10);
-
-    // ✅ Update password in database
-    await prisma.user.update({
-      where: { email },
-      data: {
-        password: hashedPassword,
-      },
-    });
+    if (user.isVerified == false) {
+      await auditFailedLogin(req, "siwe", "not_verified", { userId: user.id });
+      return res
+        .status(401)
+        .json(new ApiResponse(400, {}, `please verify your account first`));
+    }
 
-    return res
-      .status(200)
-      .json(new ApiResponse(200, {}, `Password changed successfully`));
+    return sendLoginResponse(req, res, user, "siwe");
   } catch (error) {
-    console.error(`Error while changing password: ${error.message}`);
+    console.log(`error while siwe login ${error.message}`);
     return res
-      .status(500)
+      .status(501)
       .json(new ApiResponse(500, {}, `Internal Server Error`));
   }
 };
 
-export const forgotPasswordHandle = async (req, res) => {
+export const loginTwoFactorHandle = async (req, res) => {
   try {
-    const { email } = req.body;
+    const { challengeToken, code, recoveryCode } = req.body;
 
-    // ✅ Validate input
     const schema = Joi.object({
-      email: Joi.string().email().required().messages({
-        "any.required": "Email is required",
-      }),
-    });
+      challengeToken: Joi.string().required(),
+      code: Joi.string().length(6),
+      recoveryCode: Joi.string().max(20),
+    }).xor("code", "recoveryCode");
 
     const { error } = schema.validate(req.body);
+
     if (error) {
       return res
         .status(400)
         .json(new ApiResponse(400, {}, error.details[0].message));
     }
 
-    const user = await prisma.user.findUnique({ where: { email } });
+    const challenge = await findLoginChallenge(challengeToken);
 
-    if (!user)
+    if (!challenge)
       return res
-        .status(404)
-        .json(new ApiResponse(404, {}, `User does not exist`));
+        .status(401)
+        .json(
+          new ApiResponse(401, {}, `Login attempt has expired, please login again`)
+        );
 
-    const otp = generateOTP();
-    const expiryTime = getExpirationTime();
-    await prisma.user.update({
-      where: { email },
-      data: {
-        otp: otp,
-        otpExpiresAt: expiryTime,
+    const result = await verifyTwoFactor(
+      challenge.userId,
+      { code, recoveryCode },
+      { req }
+    );
+
+    if (!result.ok) return sendTwoFactorError(res, result);
+
+    if (!(await completeLoginChallenge(challenge)))
+      return res
+        .status(401)
+        .json(
+          new ApiResponse(401, {}, `Login attempt has expired, please login again`)
+        );
+
+    const { token, refreshToken } = await createSession(challenge.user, req);
+
+    res.locals.audit = {
+      actor: challenge.user,
+      targetId: challenge.user.id,
+      after: null,
+      metadata: {
+        loginMethod: "2fa",
+        factor: code ? "totp" : "recovery_code",
       },
-    });
+    };
 
-    await verifyOtpMail(user.firstName, email, otp);
     return res
-      .status(201)
+      .status(200)
       .json(
         new ApiResponse(
           200,
-          {},
-          `The OTP has been successfully sent to your registered email address. Please check your inbox `
+          { user: loginUserResponse(challenge.user), token, refreshToken },
+          `user logged in successfully`
         )
       );
   } catch (error) {
-    console.log(`error while forgot password ${error.message}`);
+    console.log(`error while completing two-factor login ${error.message}`);
     return res
       .status(501)
       .json(new ApiResponse(500, {}, `Internal Server Error`));
   }
 };
 
-export const myProfileHandle = async (req, res) => {
+export const setupTwoFactorHandle = async (req, res) => {
   try {
-    const user = await prisma.user.findUnique({
-      where: {
-        id: req.user.id,
-      },
-    });
-
-    console.log("user -------------->", user);
-
-    if (!user)
-      return res
-        .status(404)
-        .json(new ApiResponse(400, {}, `User does not exists`));
+    const result = await startEnrollment(req.user);
 
-    const userResponse = {
-      id: user.id,
-      firstName: user.firstName,
-      lastName: user.lastName,
-      email: user.email,
-      country: user.country,
-      state: user.state,
-      city: user.city,
-      roll: user.roll,
-      isVerified: user.isVerified,
-      ibiName: user.ibiName,
-      ibiId: user.ibiId,
-      walletAddress: user.walletAddress,
-      documentId: user.documentId,
-      documentFrontImage: `${baseUrl}/temp/${user.documentFront}`,
-      documentBackImage: `${baseUrl}/temp/${user.documentBack}`,
-    };
+    if (result.error) return sendTwoFactorError(res, result);
 
     return res
       .status(200)
-      .json(new ApiResponse(200, userResponse, `Profile fetched successfully`));
+      .json(
+        new ApiResponse(
+          200,
+          result,
+          `Add the secret to your authenticator app and confirm with a code`
+        )
+      );
   } catch (error) {
-    console.log(`error while getting profile  ${error.message}`);
+    console.log(`error while starting two-factor setup ${error.message}`);
     return res
       .status(501)
-      .json(new ApiResponse(500, {}, `Internal server error`));
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
   }
 };
 
-export const transactionDetailsHandle = async (req, res) => {
+export const confirmTwoFactorHandle = async (req, res) => {
   try {
-    const { transactionHash, amount, price, value, status, type } = req.body;
+    const { code } = req.body;
 
     const schema = Joi.object({
-      transactionHash: Joi.string().required(),
-      amount: Joi.string().required(),
-      price: Joi.string().required(),
-      value: Joi.string().required(),
-      status: Joi.string().required(),
-      type: Joi.string()
-        .valid("deposit", "withdrawal", "transfer", "buy", "reward", "claim")
-        .required(),
+      code: Joi.string().length(6).required(),
     });
 
     const { error } = schema.validate(req.body);
 
     if (error) {
       return res
-        .status(401)
+        .status(400)
         .json(new ApiResponse(400, {}, error.details[0].message));
     }
 
-    const existedTx = await prisma.transaction.findFirst({
-      where: {
-        transactionHash,
-      },
-    });
-
-    if (existedTx)
-      return res
-        .status(404)
-        .json(new ApiResponse(400, {}, `Treansaction Already Exists`));
+    const result = await confirmEnrollment(req.user.id, code, req);
 
-    const newTx = await prisma.transaction.create({
-      data: {
-        userId: req.user.id,
-        transactionHash,
-        amount,
-        price,
-        value,
-        status,
-        type,
-      },
-    });
+    if (result.error) return sendTwoFactorError(res, result);
 
     return res
-      .status(201)
-      .json(new ApiResponse(200, newTx, `Transaction added successfully`));
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          result,
+          `Two-factor authentication enabled. Store your recovery codes safely, they will not be shown again`
+        )
+      );
   } catch (error) {
-    console.log(`error while adding  transaction details  ${error.message}`);
+    console.log(`error while confirming two-factor setup ${error.message}`);
     return res
       .status(501)
-      .json(new ApiResponse(500, {}, `Internal server error`));
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
   }
 };
 
-export const getMyTransactionHandle = async (req, res) => {
+export const regenerateRecoveryCodesHandle = async (req, res) => {
   try {
-    const txs = await prisma.transaction.findMany({
-      where: {
-        userId: req.user.id,
-      },
+    const { code } = req.body;
+
+    const schema = Joi.object({
+      code: Joi.string().length(6).required(),
     });
-    console.log("txx-------------->", txs.length);
 
-    if (txs.length <= 0)
+    const { error } = schema.validate(req.body);
+
+    if (error) {
       return res
-        .status(404)
-        .json(new ApiResponse(400, {}, `Transactions does not exists`));
+        .status(400)
+        .json(new ApiResponse(400, {}, error.details[0].message));
+    }
+
+    const result = await verifyTwoFactor(req.user.id, { code }, { req });
+
+    if (!result.ok) return sendTwoFactorError(res, result);
+
+    const recoveryCodes = await generateRecoveryCodes(req.user.id);
 
     return res
-      .status(201)
-      .json(new ApiResponse(200, txs, `Transactions fetched successfully`));
-  } catch (error) {
-    console.log(`error while getting transaction ${error.message}`);
-    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { recoveryCodes },
+          `New recovery codes generated, the old ones no longer work`
+        )
+      );
+  } catch (error) {
+    console.log(`error while regenerating recovery codes ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
+
+export const disableTwoFactorHandle = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const schema = Joi.object({
+      password: Joi.string().required(),
+      code: Joi.string().length(6),
+      recoveryCode: Joi.string().max(20),
+    }).xor("code", "recoveryCode");
+
+    const { error } = schema.validate(req.body);
+
+    if (error) {
+      return res
+        .status(400)
+        .json(new ApiResponse(400, {}, error.details[0].message));
+    }
+
+    if (!(await bcrypt.compare(password, req.user.password)))
+      return res
+        .status(401)
+        .json(new ApiResponse(400, {}, `Password is incorrect`));
+
+    const result = await verifyTwoFactor(
+      req.user.id,
+      { code, recoveryCode },
+      { req }
+    );
+
+    if (!result.ok) return sendTwoFactorError(res, result);
+
+    await disableTwoFactor(req.user.id);
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, {}, `Two-factor authentication disabled`));
+  } catch (error) {
+    console.log(`error while disabling two-factor ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
+
+const newPasswordSchema = {
+  password: Joi.string().min(8).required().messages({
+    "string.min": "New password must be at least 8 characters long",
+    "any.required": "New password is required",
+  }),
+  confirmPassword: Joi.string().valid(Joi.ref("password")).required().messages({
+    "any.only": "Confirm Password must match New Password",
+    "any.required": "Confirm Password is required",
+  }),
+};
+
+// Store a new password and end every session that used the old one
+const setNewPassword = async (user, password) => {
+  const hashedPassword = await bcrypt.hash(password, 10);
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      password: hashedPassword,
+    },
+  });
+
+  await revokeAllSessions(user.id);
+};
+
+export const changePasswordHandle = async (req, res) => {
+  try {
+    const { currentPassword, password } = req.body;
+
+    // ✅ Validate input
+    const schema = Joi.object({
+      currentPassword: Joi.string().required().messages({
+        "any.required": "Current password is required",
+      }),
+      ...newPasswordSchema,
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return res
+        .status(400)
+        .json(new ApiResponse(400, {}, error.details[0].message));
+    }
+
+    // ✅ Check the current password
+    if (!(await bcrypt.compare(currentPassword, req.user.password)))
+      return res
+        .status(401)
+        .json(new ApiResponse(400, {}, `Current password is incorrect`));
+
+    // ✅ Is Same Password
+    if (currentPassword === password)
+      return res
+        .status(401)
+        .json(
+          new ApiResponse(
+            400,
+            {},
+            `old password and new password must be different`
+          )
+        );
+
+    await setNewPassword(req.user, password);
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          {},
+          `Password changed successfully, please login again`
+        )
+      );
+  } catch (error) {
+    console.error(`Error while changing password: ${error.message}`);
+    return res
+      .status(500)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
+
+export const verifyResetOtpHandle = async (req, res) => {
+  try {
+    const { email, otp } = req.body;
+
+    const schema = Joi.object({
+      email: Joi.string().email().required(),
+      otp: Joi.string().length(6).required(),
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return res
+        .status(400)
+        .json(new ApiResponse(400, {}, error.details[0].message));
+    }
+
+    const user = await prisma.user.findUnique({ where: { email } });
+
+    if (!user) return sendOtpError(res, { error: "expired" });
+
+    const result = await verifyOtp(user.id, OTP_PURPOSES.PASSWORD_RESET, otp);
+
+    if (!result.ok) return sendOtpError(res, result);
+
+    const resetToken = crypto.randomBytes(32).toString("base64url");
+
+    await prisma.passwordResetToken.create({
+      data: {
+        userId: user.id,
+        tokenHash: hashToken(resetToken),
+        expiresAt: getExpirationTime(),
+      },
+    });
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { resetToken },
+          `OTP verified, you can now set a new password`
+        )
+      );
+  } catch (error) {
+    console.log(`error while verifying reset otp ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
+
+export const resetPasswordHandle = async (req, res) => {
+  try {
+    const { resetToken, password } = req.body;
+
+    const schema = Joi.object({
+      resetToken: Joi.string().required(),
+      ...newPasswordSchema,
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return res
+        .status(400)
+        .json(new ApiResponse(400, {}, error.details[0].message));
+    }
+
+    const tokenHash = hashToken(resetToken);
+    const stored = await prisma.passwordResetToken.findUnique({
+      where: { tokenHash },
+      include: { user: true },
+    });
+
+    if (!stored || stored.usedAt || stored.expiresAt < new Date())
+      return res
+        .status(400)
+        .json(
+          new ApiResponse(
+            400,
+            {},
+            `Reset link is expired or invalid. Please request a new OTP.`
+          )
+        );
+
+    // Claim the token first so it cannot be used twice concurrently
+    const claimed = await prisma.passwordResetToken.updateMany({
+      where: { id: stored.id, usedAt: null },
+      data: { usedAt: new Date() },
+    });
+
+    if (claimed.count !== 1)
+      return res
+        .status(400)
+        .json(
+          new ApiResponse(
+            400,
+            {},
+            `Reset link is expired or invalid. Please request a new OTP.`
+          )
+        );
+
+    await setNewPassword(stored.user, password);
+
+    res.locals.audit = { actor: stored.user, targetId: stored.user.id };
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, {}, `Password reset successfully`));
+  } catch (error) {
+    console.log(`error while resetting password ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
+
+export const forgotPasswordHandle = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    // ✅ Validate input
+    const schema = Joi.object({
+      email: Joi.string().email().required().messages({
+        "any.required": "Email is required",
+      }),
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return res
+        .status(400)
+        .json(new ApiResponse(400, {}, error.details[0].message));
+    }
+
+    const user = await prisma.user.findUnique({ where: { email } });
+
+    if (!user)
+      return res
+        .status(404)
+        .json(new ApiResponse(404, {}, `User does not exist`));
+
+    const result = await issueOtp(user.id, OTP_PURPOSES.PASSWORD_RESET);
+
+    if (!result.code) return sendOtpError(res, result);
+
+    await verifyOtpMail(user.firstName, email, result.code);
+    return res
+      .status(201)
+      .json(
+        new ApiResponse(
+          200,
+          {},
+          `The OTP has been successfully sent to your registered email address. Please check your inbox `
+        )
+      );
+  } catch (error) {
+    console.log(`error while forgot password ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
+
+export const myProfileHandle = async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: {
+        id: req.user.id,
+      },
+    });
+
+    console.log("user -------------->", user);
+
+    if (!user)
+      return res
+        .status(404)
+        .json(new ApiResponse(400, {}, `User does not exists`));
+
+    const lastKycReview = await prisma.kycReview.findFirst({
+      where: { userId: user.id, reviewerId: { not: null } },
+      orderBy: { createdAt: "desc" },
+    });
+
+    const userResponse = {
+      id: user.id,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      email: user.email,
+      country: user.country,
+      state: user.state,
+      city: user.city,
+      roll: user.roll,
+      isVerified: user.isVerified,
+      ibiName: user.ibiName,
+      ibiId: user.ibiId,
+      walletAddress: user.walletAddress,
+      documentId: user.documentId,
+      documentFrontImage: signDocumentUrl(user.documentFront),
+      documentBackImage: signDocumentUrl(user.documentBack),
+      kycStatus: user.kycStatus,
+      kycNote: lastKycReview?.note || null,
+      twoFactorEnabled: await isTwoFactorEnabled(user.id),
+    };
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, userResponse, `Profile fetched successfully`));
+  } catch (error) {
+    console.log(`error while getting profile  ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal server error`));
+  }
+};
+
+// Reverted buys emit no logs. MySQL lets a unique index repeat NULLs, so they
+// use -1 to keep one row per reverted hash.
+const REVERTED_LOG_INDEX = -1;
+
+const sendAlreadyRecorded = (res, transaction) =>
+  res
+    .status(409)
+    .json(
+      new ApiResponse(
+        409,
+        { code: "TX_ALREADY_RECORDED", transaction },
+        `Transaction already exists`
+      )
+    );
+
+// Create a Transaction row, or return { existing } when the indexer or a
+// concurrent request recorded the same log first
+const recordTransaction = async ({ data }) => {
+  try {
+    return await prisma.transaction.create({ data });
+  } catch (error) {
+    if (
+      !(error instanceof Prisma.PrismaClientKnownRequestError) ||
+      error.code !== "P2002"
+    )
+      throw error;
+
+    const existing = await prisma.transaction.findUnique({
+      where: {
+        transactionHash_logIndex: {
+          transactionHash: data.transactionHash,
+          logIndex: data.logIndex,
+        },
+      },
+    });
+    return { existing };
+  }
+};
+
+export const transactionDetailsHandle = async (req, res) => {
+  try {
+    const { transactionHash } = req.body;
+
+    // Only the hash is trusted; amount, price, value and status are read from
+    // the chain. Older clients still send them, so they are accepted and ignored.
+    const schema = Joi.object({
+      transactionHash: Joi.string()
+        .pattern(/^0x[0-9a-fA-F]{64}$/)
+        .required()
+        .messages({
+          "string.pattern.base": "transactionHash must be a 0x-prefixed 32 byte hash",
+        }),
+    }).unknown(true);
+
+    const { error } = schema.validate(req.body);
+
+    if (error) {
+      return res
+        .status(401)
+        .json(new ApiResponse(400, {}, error.details[0].message));
+    }
+
+    if (!isKycApproved(req.user)) {
+      return res
+        .status(403)
+        .json(
+          new ApiResponse(
+            403,
+            { code: "KYC_NOT_APPROVED" },
+            `Your KYC must be approved before buying tokens`
+          )
+        );
+    }
+
+    if (!req.user.walletAddress) {
+      return res
+        .status(400)
+        .json(
+          new ApiResponse(
+            400,
+            { code: "WALLET_NOT_BOUND" },
+            `Please add your wallet address before submitting a transaction`
+          )
+        );
+    }
+
+    const existedTx = await prisma.transaction.findFirst({
+      where: {
+        transactionHash,
+      },
+    });
+
+    if (existedTx) return sendAlreadyRecorded(res, existedTx);
+
+    const contract = readContract();
+    const contractAddress = await contract.getAddress();
+    const receipt = await contract.runner.getTransactionReceipt(
+      transactionHash
+    );
+
+    if (!receipt)
+      return res
+        .status(404)
+        .json(
+          new ApiResponse(
+            404,
+            { code: "TX_NOT_FOUND" },
+            `Transaction is not mined yet or does not exist`
+          )
+        );
+
+    if (receipt.to?.toLowerCase() !== contractAddress.toLowerCase())
+      return res
+        .status(400)
+        .json(
+          new ApiResponse(
+            400,
+            { code: "TX_WRONG_CONTRACT" },
+            `Transaction was not sent to the token sale contract`
+          )
+        );
+
+    const walletAddress = req.user.walletAddress.toLowerCase();
+
+    // A reverted buy emits no events, so only the sender can be checked
+    if (receipt.status !== 1) {
+      if (receipt.from.toLowerCase() !== walletAddress)
+        return res
+          .status(403)
+          .json(
+            new ApiResponse(
+              403,
+              { code: "BUYER_MISMATCH" },
+              `Transaction was not sent from your wallet address`
+            )
+          );
+
+      const revertedTx = await recordTransaction({
+        data: {
+          userId: req.user.id,
+          transactionHash,
+          logIndex: REVERTED_LOG_INDEX,
+          amount: "0",
+          price: "0",
+          value: "0",
+          status: "reverted",
+          type: "buy",
+          blockNumber: receipt.blockNumber,
+          blockHash: receipt.blockHash,
+          blockTimestamp: await getBlockTime(receipt.blockNumber),
+        },
+      });
+
+      if (revertedTx.existing)
+        return sendAlreadyRecorded(res, revertedTx.existing);
+
+      return res
+        .status(201)
+        .json(
+          new ApiResponse(200, revertedTx, `Reverted transaction recorded`)
+        );
+    }
+
+    const boughtEvent = decodeContractLogs(receipt.logs, contractAddress).find(
+      (event) => event.name === "TokenBought"
+    );
+
+    if (!boughtEvent)
+      return res
+        .status(400)
+        .json(
+          new ApiResponse(
+            400,
+            { code: "TOKEN_BOUGHT_EVENT_MISSING" },
+            `Transaction is not a token purchase`
+          )
+        );
+
+    const { buyer, usdtAmount, tokenAmount, unlockTime } = boughtEvent.args;
+
+    if (buyer.toLowerCase() !== walletAddress)
+      return res
+        .status(403)
+        .json(
+          new ApiResponse(
+            403,
+            { code: "BUYER_MISMATCH" },
+            `Tokens were bought by a different wallet address`
+          )
+        );
+
+    const newTx = await recordTransaction({
+      data: {
+        userId: req.user.id,
+        transactionHash,
+        amount: tokenAmount.toString(),
+        price: tokenPriceFromAmounts(usdtAmount, tokenAmount),
+        value: usdtAmount.toString(),
+        status: "confirmed",
+        type: "buy",
+        logIndex: boughtEvent.logIndex,
+        blockNumber: receipt.blockNumber,
+        blockHash: receipt.blockHash,
+        blockTimestamp: await getBlockTime(receipt.blockNumber),
+        unlockTime: unlockTime.toString(),
+        salePhase: await phaseOfPurchase({ usdtAmount, tokenAmount }),
+      },
+    });
+
+    if (newTx.existing) return sendAlreadyRecorded(res, newTx.existing);
+
+    return res
+      .status(201)
+      .json(new ApiResponse(200, newTx, `Transaction added successfully`));
+  } catch (error) {
+    console.log(`error while adding  transaction details  ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal server error`));
+  }
+};
+
+export const getMyTransactionHandle = async (req, res) => {
+  try {
+    const { error, value } = transactionQuerySchema().validate(req.query);
+
+    if (error) {
+      return res
+        .status(400)
+        .json(new ApiResponse(400, {}, error.details[0].message));
+    }
+
+    const page = await paginate("transaction", {
+      ...value,
+      where: { ...transactionWhere(value), userId: req.user.id },
+    });
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, page, `Transactions fetched successfully`));
+  } catch (error) {
+    console.log(`error while getting transaction ${error.message}`);
+    return res
       .status(501)
       .json(new ApiResponse(500, {}, `Internal Server Error`));
   }
 };
 
+const referralUserSelect = {
+  id: true,
+  firstName: true,
+  lastName: true,
+  roll: true,
+  referralCode: true,
+};
+
+// Users see the people they referred; staff can list and filter everyone's
 export const getAllreferralsHandle = async (req, res) => {
   try {
-    const id = req.query.id;
-    console.log("id ----------->", id);
+    const staff = hasPermission(req.user, "referral:read:all");
 
-    if (id) {
-      const ref = await prisma.referral.findMany({
-        where: {
-          referrerId: parseInt(id),
-        },
-        include: {
-          referred: {
-            select: {
-              id: true,
-              firstName: true,
-              lastName: true,
-              roll: true,
-              referralCode: true,
-            },
-          },
-          referrer: {
-            select: {
-              id: true,
-              firstName: true,
-              lastName: true,
-              roll: true,
-              referralCode: true,
-            },
-          },
+    const { error, value } = referralQuerySchema({ staff }).validate(
+      req.query
+    );
+
+    if (error) {
+      return res
+        .status(400)
+        .json(new ApiResponse(400, {}, error.details[0].message));
+    }
+
+    const where = staff
+      ? referralWhere(value)
+      : { ...referralWhere(value), referrerId: req.user.id };
+
+    const page = await paginate("referral", {
+      ...value,
+      where,
+      include: {
+        referred: { select: referralUserSelect },
+        referrer: { select: referralUserSelect },
+      },
+    });
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, page, `All referral fetched successfully`));
+  } catch (error) {
+    console.log(`error while getting referrals ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
+
+const referralDepthSchema = Joi.object({
+  depth: Joi.number().integer().min(1).max(MAX_TREE_DEPTH).default(3),
+});
+
+export const getReferralTreeHandle = async (req, res) => {
+  try {
+    const { error, value } = referralDepthSchema.validate(req.query);
+
+    if (error) {
+      return res
+        .status(400)
+        .json(new ApiResponse(400, {}, error.details[0].message));
+    }
+
+    const tree = await getDownlineTree(req.user.id, value.depth);
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, tree, `Referral tree fetched successfully`));
+  } catch (error) {
+    console.log(`error while getting referral tree ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
+
+export const getUplineHandle = async (req, res) => {
+  try {
+    const upline = await getUpline(req.user.id, {
+      firstName: true,
+      lastName: true,
+      referralCode: true,
+    });
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, upline, `Upline fetched successfully`));
+  } catch (error) {
+    console.log(`error while getting upline ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
+
+export const getPortfolioHandle = async (req, res) => {
+  try {
+    if (!req.user.walletAddress)
+      return res
+        .status(400)
+        .json(
+          new ApiResponse(
+            400,
+            { code: "WALLET_NOT_BOUND" },
+            `Add a wallet address first`
+          )
+        );
+
+    const purchases = await prisma.transaction.findMany({
+      where: { userId: req.user.id, type: "buy", status: "confirmed" },
+      select: {
+        id: true,
+        transactionHash: true,
+        amount: true,
+        unlockTime: true,
+        createdAt: true,
+      },
+      orderBy: { createdAt: "asc" },
+    });
+
+    const portfolio = await getPortfolio(req.user.walletAddress, purchases);
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, portfolio, `Portfolio fetched successfully`));
+  } catch (error) {
+    console.log(`error while getting portfolio ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
+
+const walletTaken = (address, userId) =>
+  prisma.user.findFirst({
+    where: { walletAddress: address, NOT: { id: userId } },
+  });
+
+// Step one of binding a wallet: the message the wallet has to sign
+export const walletChallengeHandle = async (req, res) => {
+  try {
+    const schema = Joi.object({ address: walletAddressSchema });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res
+        .status(400)
+        .json(new ApiResponse(400, {}, error.details[0].message));
+    }
+
+    if (req.user.walletAddress)
+      return res
+        .status(409)
+        .json(
+          new ApiResponse(
+            409,
+            { code: "WALLET_ALREADY_BOUND" },
+            `Wallet address already added, request a wallet change instead`
+          )
+        );
+
+    if (await walletTaken(value.address, req.user.id))
+      return res
+        .status(400)
+        .json(
+          new ApiResponse(400, {}, `This wallet address is already in use`)
+        );
+
+    const challenge = await issueWalletChallenge({
+      address: value.address,
+      purpose: WALLET_CHALLENGE_PURPOSES.BIND,
+      statement: `Link this wallet to your ChainSphere account ${req.user.email}.`,
+      userId: req.user.id,
+    });
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(200, challenge, `Sign the message with your wallet`)
+      );
+  } catch (error) {
+    console.log(`error while creating wallet challenge ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
+
+// Step two: bind the wallet that signed the challenge message
+export const updateAddressOfUserHandle = async (req, res) => {
+  try {
+    const { message, signature } = req.body;
+
+    const schema = Joi.object({
+      message: Joi.string().max(2000).required(),
+      signature: Joi.string().required(),
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return res
+        .status(401)
+        .json(new ApiResponse(400, {}, error.details[0].message));
+    }
+
+    if (req.user.walletAddress)
+      return res
+        .status(409)
+        .json(
+          new ApiResponse(
+            409,
+            { code: "WALLET_ALREADY_BOUND" },
+            `Wallet address already added, request a wallet change instead`
+          )
+        );
+
+    const result = await verifyWalletSignature(
+      { message, signature },
+      { purpose: WALLET_CHALLENGE_PURPOSES.BIND, userId: req.user.id }
+    );
+
+    if (result.error) return sendWalletSignatureError(res, result);
+
+    if (await walletTaken(result.address, req.user.id)) {
+      return res
+        .status(400)
+        .json(
+          new ApiResponse(400, {}, `This wallet address is already in use`)
+        );
+    }
+
+    const bound = await prisma.$transaction(async (tx) => {
+      const updated = await tx.user.updateMany({
+        where: { id: req.user.id, walletAddress: null },
+        data: { walletAddress: result.address },
+      });
+      if (updated.count !== 1) return false;
+
+      await tx.walletChange.create({
+        data: {
+          userId: req.user.id,
+          toAddress: result.address,
+          status: "completed",
+          method: "signature",
+          completedAt: new Date(),
         },
       });
+      return true;
+    });
 
-      if (ref.length < 0) {
-        return res
-          .status(401)
-          .json(new ApiResponse(400, {}, `Referrals does not exists`));
-      }
+    if (!bound)
+      return res
+        .status(409)
+        .json(
+          new ApiResponse(
+            409,
+            { code: "WALLET_ALREADY_BOUND" },
+            `Wallet address already added, request a wallet change instead`
+          )
+        );
+
+    res.locals.audit = {
+      before: { walletAddress: null },
+      after: { walletAddress: result.address },
+    };
+
+    return res
+      .status(201)
+      .json(
+        new ApiResponse(
+          200,
+          { walletAddress: result.address },
+          `Address added successfully`
+        )
+      );
+  } catch (error) {
+    console.log(`Error while adding address: ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
+
+// Open a request to move the account to a new wallet. It completes once both
+// wallets have signed, or after admin approval if the old wallet is lost.
+export const requestWalletChangeHandle = async (req, res) => {
+  try {
+    const schema = Joi.object({
+      newAddress: walletAddressSchema,
+      reason: Joi.string().max(1000).optional().allow(""),
+    });
 
+    const { error, value } = schema.validate(req.body);
+    if (error) {
       return res
-        .status(201)
-        .json(new ApiResponse(200, ref, `All referral fetched successfully`));
-    } else {
-      const ref = await prisma.referral.findMany({
-        include: {
-          referred: {
-            select: {
-              id: true,
-              firstName: true,
-              lastName: true,
-              roll: true,
-              referralCode: true,
-            },
-          },
+        .status(400)
+        .json(new ApiResponse(400, {}, error.details[0].message));
+    }
+
+    const fromAddress = req.user.walletAddress;
+
+    if (!fromAddress)
+      return res
+        .status(400)
+        .json(
+          new ApiResponse(
+            400,
+            { code: "WALLET_NOT_BOUND" },
+            `Add a wallet address first`
+          )
+        );
+
+    if (fromAddress.toLowerCase() === value.newAddress.toLowerCase())
+      return res
+        .status(400)
+        .json(
+          new ApiResponse(400, {}, `New wallet must differ from the current one`)
+        );
+
+    if (await walletTaken(value.newAddress, req.user.id))
+      return res
+        .status(400)
+        .json(
+          new ApiResponse(400, {}, `This wallet address is already in use`)
+        );
+
+    // A user has at most one open change request
+    const [, walletChange] = await prisma.$transaction([
+      prisma.walletChange.updateMany({
+        where: {
+          userId: req.user.id,
+          status: { in: OPEN_WALLET_CHANGE_STATUSES },
+        },
+        data: { status: "cancelled" },
+      }),
+      prisma.walletChange.create({
+        data: {
+          userId: req.user.id,
+          fromAddress,
+          toAddress: value.newAddress,
+          reason: value.reason || null,
+        },
+      }),
+    ]);
+
+    const statement = `Move the ChainSphere account ${req.user.email} from wallet ${fromAddress} to wallet ${value.newAddress}.`;
+    const oldWallet = await issueWalletChallenge({
+      address: fromAddress,
+      purpose: WALLET_CHALLENGE_PURPOSES.CHANGE_OLD,
+      statement,
+      userId: req.user.id,
+      walletChangeId: walletChange.id,
+    });
+    const newWallet = await issueWalletChallenge({
+      address: value.newAddress,
+      purpose: WALLET_CHALLENGE_PURPOSES.CHANGE_NEW,
+      statement,
+      userId: req.user.id,
+      walletChangeId: walletChange.id,
+    });
 
-          referrer: {
-            select: {
-              id: true,
-              firstName: true,
-              lastName: true,
-              roll: true,
-              referralCode: true,
-            },
-          },
-        },
-      });
-      return res
-        .status(201)
-        .json(new ApiResponse(200, ref, `All referral fetched successfully`));
-    }
+    res.locals.audit = {
+      targetId: walletChange.id,
+      before: { walletAddress: fromAddress },
+      after: { walletAddress: value.newAddress },
+    };
+
+    return res
+      .status(201)
+      .json(
+        new ApiResponse(
+          200,
+          { walletChange, oldWallet, newWallet },
+          `Sign both messages, or only the new wallet's to ask for admin approval`
+        )
+      );
   } catch (error) {
-    console.log(`error while getting referrals ${error.message}`);
+    console.log(`error while requesting wallet change ${error.message}`);
     return res
       .status(501)
       .json(new ApiResponse(500, {}, `Internal Server Error`));
   }
 };
 
-export const updateAddressOfUserHandle = async (req, res) => {
+export const confirmWalletChangeHandle = async (req, res) => {
   try {
-    const { address } = req.body;
+    const { newMessage, newSignature, oldMessage, oldSignature } = req.body;
 
     const schema = Joi.object({
-      address: Joi.string().min(5).max(200).required().messages({
-        "string.empty": "Address is required",
-        "string.min": "Address must be at least 5 characters long",
-        "string.max": "Address cannot exceed 200 characters",
-      }),
-    });
+      newMessage: Joi.string().max(2000).required(),
+      newSignature: Joi.string().required(),
+      oldMessage: Joi.string().max(2000),
+      oldSignature: Joi.string(),
+    }).and("oldMessage", "oldSignature");
 
     const { error } = schema.validate(req.body);
     if (error) {
       return res
-        .status(401)
+        .status(400)
         .json(new ApiResponse(400, {}, error.details[0].message));
     }
 
-    const user = await prisma.user.findUnique({
-      where: {
-        id: req.user.id,
-      },
+    const walletChange = await prisma.walletChange.findFirst({
+      where: { id: parseInt(req.params.id), userId: req.user.id },
     });
 
-    if (!user) {
+    if (!walletChange)
       return res
         .status(404)
-        .json(new ApiResponse(400, {}, `User does not exist`));
+        .json(new ApiResponse(404, {}, `Wallet change does not exist`));
+
+    if (walletChange.status !== "pending_signatures")
+      return sendWalletChangeError(res, { error: "not_open" });
+
+    const scope = { userId: req.user.id, walletChangeId: walletChange.id };
+
+    if (oldMessage) {
+      const old = await verifyWalletSignature(
+        { message: oldMessage, signature: oldSignature },
+        { ...scope, purpose: WALLET_CHALLENGE_PURPOSES.CHANGE_OLD }
+      );
+      if (old.error) return sendWalletSignatureError(res, old);
     }
 
-    // Check if wallet address is already taken by another user
-    const isAddressTaken = await prisma.user.findFirst({
-      where: {
-        walletAddress: address,
-        NOT: {
-          id: req.user.id,
-        },
-      },
-    });
+    const proof = await verifyWalletSignature(
+      { message: newMessage, signature: newSignature },
+      { ...scope, purpose: WALLET_CHALLENGE_PURPOSES.CHANGE_NEW }
+    );
+    if (proof.error) return sendWalletSignatureError(res, proof);
 
-    console.log("isAddressTaken -------------->", isAddressTaken)
+    if (!oldMessage) {
+      const pending = await prisma.walletChange.update({
+        where: { id: walletChange.id },
+        data: { status: "pending_approval" },
+      });
 
-    if (isAddressTaken) {
       return res
-        .status(400)
+        .status(202)
         .json(
-          new ApiResponse(400, {}, `This wallet address is already in use`)
+          new ApiResponse(
+            202,
+            pending,
+            `Wallet change is waiting for admin approval`
+          )
         );
     }
 
-    // Check if user has already set wallet address
-    if (user.walletAddress == null) {
-      await prisma.user.update({
-        where: {
-          id: req.user.id,
-        },
-        data: {
-          walletAddress: address,
-        },
-      });
+    const result = await applyWalletChange(walletChange.id, {
+      method: "signatures",
+    });
 
-      return res
-        .status(201)
-        .json(new ApiResponse(200, {}, `Address added successfully`));
-    } else {
-      if (user.walletAddress === address) {
-        return res
-          .status(401)
-          .json(new ApiResponse(400, {}, `Wallet address already added`));
-      } else {
-        return res
-          .status(401)
-          .json(new ApiResponse(400, {}, `Invalid wallet address`));
-      }
-    }
+    if (result.error) return sendWalletChangeError(res, result);
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          result.walletChange,
+          `Wallet address changed successfully`
+        )
+      );
   } catch (error) {
-    console.log(`Error while adding address: ${error.message}`);
+    console.log(`error while confirming wallet change ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
+
+export const getWalletHistoryHandle = async (req, res) => {
+  try {
+    const history = await prisma.walletChange.findMany({
+      where: { userId: req.user.id },
+      orderBy: { createdAt: "desc" },
+    });
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { walletAddress: req.user.walletAddress, history },
+          `Wallet history fetched successfully`
+        )
+      );
+  } catch (error) {
+    console.log(`error while getting wallet history ${error.message}`);
     return res
       .status(501)
       .json(new ApiResponse(500, {}, `Internal Server Error`));
@@ -839,6 +1869,18 @@ export const uploadDocumentsHandle = async (req, res) => {
         .json(new ApiResponse(400, {}, error.details[0].message));
     }
 
+    if (!req.files || req.files.length < 2) {
+      return res
+        .status(400)
+        .json(
+          new ApiResponse(
+            400,
+            {},
+            `Front and back images of the document are required`
+          )
+        );
+    }
+
     const user = await prisma.user.findUnique({
       where: {
         id: req.user.id,
@@ -848,21 +1890,50 @@ export const uploadDocumentsHandle = async (req, res) => {
     if (!user)
       return res.status(404).json(new ApiResponse(400, {}, `User not found`));
 
-    await prisma.user.update({
-      where: {
-        id: req.user.id,
-      },
+    if (!canTransitionKyc(user.kycStatus, "pending"))
+      return res
+        .status(409)
+        .json(
+          new ApiResponse(
+            409,
+            { kycStatus: user.kycStatus },
+            `Documents cannot be submitted while KYC is ${user.kycStatus}`
+          )
+        );
 
-      data: {
-        documentId: documentId,
-        documentFront: req.files[0].filename ? req.files[0].filename : "",
-        documentBack: req.files[1].filename ? req.files[1].filename : "",
-      },
-    });
+    const [documentFront, documentBack] = await storeDocuments(
+      req.files.slice(0, 2)
+    );
+
+    let updated;
+    try {
+      updated = await transitionKyc(user.id, "pending", {
+        documents: { documentId, documentFront, documentBack },
+      });
+    } finally {
+      if (!updated) await removeDocuments([documentFront, documentBack]);
+    }
+
+    if (!updated)
+      return res
+        .status(409)
+        .json(
+          new ApiResponse(
+            409,
+            { code: "KYC_STATUS_CHANGED" },
+            `KYC status changed while uploading, reload and try again`
+          )
+        );
 
     return res
       .status(200)
-      .json(new ApiResponse(200, {}, `documents uploaded successfully`));
+      .json(
+        new ApiResponse(
+          200,
+          { kycStatus: "pending" },
+          `documents uploaded successfully`
+        )
+      );
   } catch (error) {
     console.log(`error while uploading documents ${error}`);
     return res
@@ -873,101 +1944,298 @@ export const uploadDocumentsHandle = async (req, res) => {
 
 export const referralRewardHandle = async (req, res) => {
   try {
-    const { value, price } = req.body;
+    const { transactionHash } = req.body;
+
+    const schema = Joi.object({
+      transactionHash: Joi.string().required(),
+    });
+
+    const { error } = schema.validate(req.body);
+
+    if (error) {
+      return res
+        .status(401)
+        .json(new ApiResponse(400, {}, error.details[0].message));
+    }
 
-    const weiValue = BigInt(value);
+    // Step 1: Rewards are only paid for the caller's own confirmed purchases
+    const purchase = await prisma.transaction.findFirst({
+      where: {
+        transactionHash,
+        userId: req.user.id,
+        type: "buy",
+        status: "confirmed",
+      },
+    });
+
+    if (!purchase) {
+      return res
+        .status(404)
+        .json(new ApiResponse(400, {}, `Confirmed purchase does not exist`));
+    }
+
+    // Step 2: Split the purchase across the referral chain for the round it
+    // was bought in
+    const salePhase = await getPurchasePhase(purchase);
+    const rewards = await recordReferralRewards(purchase, salePhase);
+
+    if (rewards.length <= 0) {
+      return res
+        .status(404)
+        .json(new ApiResponse(400, {}, `Referral does not exist`));
+    }
+
+    // Step 3: Queue a payout for every beneficiary that has a wallet address.
+    // The payout worker signs and sends them one nonce at a time.
+    const jobs = [];
+    for (const reward of rewards) {
+      if (reward.status !== "pending") continue;
+
+      const existingJob = await prisma.payoutJob.findUnique({
+        where: { referralRewardId: reward.id },
+      });
+
+      if (existingJob) {
+        jobs.push(existingJob.id);
+        continue;
+      }
+
+      const beneficiary = await prisma.user.findUnique({
+        where: { id: reward.beneficiaryId },
+      });
+
+      // Rewards for users without a wallet or approved KYC stay pending
+      if (!beneficiary?.walletAddress || !isKycApproved(beneficiary)) continue;
+
+      try {
+        const job = await enqueuePayout({
+          kind: "referral_reward",
+          recipient: beneficiary.walletAddress,
+          amount: reward.amount,
+          referralRewardId: reward.id,
+        });
+        jobs.push(job.id);
+      } catch (error) {
+        // A concurrent claim queued this reward first
+        if (
+          !(error instanceof Prisma.PrismaClientKnownRequestError) ||
+          error.code !== "P2002"
+        )
+          throw error;
+
+        const queued = await prisma.payoutJob.findUnique({
+          where: { referralRewardId: reward.id },
+        });
+        jobs.push(queued.id);
+      }
+    }
+
+    res.locals.audit = { targetId: purchase.id, metadata: { jobs } };
+
+    return res
+      .status(202)
+      .json(
+        new ApiResponse(
+          200,
+          { rewards, jobs },
+          `Rewards queued for payout successfully`
+        )
+      );
+  } catch (error) {
+    console.log(`Error while distributing rewards: ${error.message}`);
+    return res
+      .status(500)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
 
-    // Step 1: Find the direct referrer
-    const referral = await prisma.referral.findUnique({
+export const getMyStakingRewardsHandle = async (req, res) => {
+  try {
+    const rewards = await prisma.stakingReward.findMany({
       where: {
-        referredId: req.user.id,
+        userId: req.user.id,
       },
       include: {
-        referrer: {
-          select: {
-            id: true,
-            firstName: true,
-            lastName: true,
-            walletAddress: true,
-          },
+        program: {
+          select: { id: true, name: true, rateBasisPoints: true },
         },
       },
+      orderBy: { periodStart: "desc" },
+    });
+
+    const now = new Date();
+    let totalPaid = 0n;
+    let totalLocked = 0n;
+    let totalPending = 0n;
+
+    const items = rewards.map((reward) => {
+      const amount = BigInt(reward.amount);
+      const locked = reward.status === "paid" && reward.unlockAt > now;
+
+      if (reward.status === "paid") totalPaid += amount;
+      else totalPending += amount;
+      if (locked) totalLocked += amount;
+
+      return {
+        id: reward.id,
+        program: reward.program,
+        periodStart: reward.periodStart,
+        periodEnd: reward.periodEnd,
+        amount: reward.amount,
+        status: reward.status,
+        txHash: reward.txHash,
+        unlockAt: reward.unlockAt,
+        locked,
+      };
+    });
+
+    return res.status(200).json(
+      new ApiResponse(
+        200,
+        {
+          totalPaid: totalPaid.toString(),
+          totalLocked: totalLocked.toString(),
+          totalPending: totalPending.toString(),
+          rewards: items,
+        },
+        `Staking rewards fetched successfully`
+      )
+    );
+  } catch (error) {
+    console.log(`error while getting staking rewards ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
+
+export const refreshTokenHandle = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const schema = Joi.object({
+      refreshToken: Joi.string().required(),
     });
 
-    if (!referral) {
+    const { error } = schema.validate(req.body);
+
+    if (error) {
       return res
-        .status(404)
-        .json(new ApiResponse(400, {}, `Referral does not exist`));
+        .status(400)
+        .json(new ApiResponse(400, {}, error.details[0].message));
     }
 
-    const referrer = referral.referrer;
-    console.log("Direct Referrer Wallet Address:", referrer.walletAddress);
+    const rotated = await rotateSession(refreshToken, req);
 
-    // Step 2: Calculate direct reward (10%)
-    const directReward = weiValue / BigInt(10);
+    if (!rotated)
+      return res
+        .status(401)
+        .json(
+          new ApiResponse(401, {}, `Session has ended, please login again`)
+        );
 
-    // Step 3: Send direct reward
-    // const approveTx = await contractInstance.approve()
-    const contract = await contractInstance();
-    const directTx = await contract.transfer(
-      referrer.walletAddress,
-      directReward
+    return res.status(200).json(
+      new ApiResponse(
+        200,
+        { token: rotated.token, refreshToken: rotated.refreshToken },
+        `Token refreshed successfully`
+      )
     );
+  } catch (error) {
+    console.log(`error while refreshing token ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
+
+export const logoutHandle = async (req, res) => {
+  try {
+    if (req.sessionId) await revokeSession(req.sessionId);
 
-    directTx.wait();
+    return res
+      .status(200)
+      .json(new ApiResponse(200, {}, `Logged out successfully`));
+  } catch (error) {
+    console.log(`error while logging out ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
 
-    console.log(`directtx --------->`, directTx);
+export const logoutAllHandle = async (req, res) => {
+  try {
+    await revokeAllSessions(req.user.id);
 
-    // Step 4: Store direct reward transaction
-    await prisma.transaction.create({
-      data: {
-        userId: referrer.id,
-        transactionHash: directTx.hash,
-        amount: "0",
-        price: price,
-        value: directReward.toString(),
-        status: "completed",
-        type: "reward",
+    return res
+      .status(200)
+      .json(new ApiResponse(200, {}, `Logged out from all devices`));
+  } catch (error) {
+    console.log(`error while logging out everywhere ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
+
+export const getSessionsHandle = async (req, res) => {
+  try {
+    const sessions = await prisma.session.findMany({
+      where: {
+        userId: req.user.id,
+        revokedAt: null,
+        expiresAt: { gt: new Date() },
       },
+      select: {
+        id: true,
+        userAgent: true,
+        ip: true,
+        createdAt: true,
+        lastUsedAt: true,
+        expiresAt: true,
+      },
+      orderBy: { lastUsedAt: "desc" },
     });
 
-    // Step 5: Find the root user (the first user in the referral chain)
-    // const rootUser = await findRootUser(referrer.id);
-
-    // if (rootUser) {
-    //   // Step 6: Check if root user is a Core Team Member
-    //   const isCoreTeamMember = await prisma.coreTeamMembers.findUnique({
-    //     where: { userId: rootUser.id },
-    //   });
-
-    //   if (isCoreTeamMember) {
-    //     // Step 7: Calculate and send root reward (2.5%)
-    //     const rootReward = (2.5 / 100) * value;
-    //     const rootTx = await contractInstance.transfer(
-    //       rootUser.walletAddress,
-    //       rootReward
-    //     );
-
-    //     // Step 8: Store root reward transaction
-    //     await prisma.transaction.create({
-    //       data: {
-    //         userId: rootUser.id,
-    //         transactionHash: rootTx.hash,
-    //         amount: rootReward.toString(),
-    //         status: "completed",
-    //         type: "reward",
-    //       },
-    //     });
-    //   }
-    // }
+    const sessionResponse = sessions.map((session) => ({
+      ...session,
+      current: session.id === req.sessionId,
+    }));
 
     return res
       .status(200)
-      .json(new ApiResponse(200, {}, `Rewards sent successfully`));
+      .json(
+        new ApiResponse(200, sessionResponse, `Sessions fetched successfully`)
+      );
   } catch (error) {
-    console.log(`Error while distributing rewards: ${error.message}`);
+    console.log(`error while getting sessions ${error.message}`);
     return res
-      .status(500)
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+};
+
+export const revokeSessionHandle = async (req, res) => {
+  try {
+    const session = await prisma.session.findFirst({
+      where: { id: req.params.id, userId: req.user.id },
+    });
+
+    if (!session)
+      return res
+        .status(404)
+        .json(new ApiResponse(404, {}, `Session does not exist`));
+
+    await revokeSession(session.id);
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, {}, `Session revoked successfully`));
+  } catch (error) {
+    console.log(`error while revoking session ${error.message}`);
+    return res
+      .status(501)
       .json(new ApiResponse(500, {}, `Internal Server Error`));
   }
 };
@@ -1005,7 +2273,7 @@ export const getReferralCodeHandle = async (req, res) => {
 
 export const sendReferralRewardHandle = async (req, res) => {
   try {
-    const contract = await contractInstance();
+    const contract = readContract();
     const tx = await contract.userDetails(_address);
 
     console.log(`tx ------------>`, tx);
@@ -1018,7 +2286,3 @@ export const sendReferralRewardHandle = async (req, res) => {
 };
 
 // userDetails(_address)
-// round 25%
-// round 15%
-// round 10%
-// round 3 %
@@ -3,12 +3,17 @@ import "dotenv/config.js";
 import cors from "cors";
 
 import rootRouter from "./routes/index.routes.js";
+import { startIndexer } from "./Web3/Indexer/indexer.js";
+import { startPayoutWorker } from "./Web3/Payout/payoutQueue.js";
+import { startLeaderboardSnapshots } from "./utils/leaderboard.js";
+import { assignRequestId } from "./middlewares/audit.js";
+import { initSigners } from "./Web3/Signer/signer.js";
 
 const app = express();
 const port = process.env.PORT || 8001;
 
+app.use(assignRequestId);
 app.use(express.json());
-app.use("/api/v1",express.static("public"))
 
 app.use(express.urlencoded({ extended: true }));
 
@@ -28,6 +33,13 @@ app.get("/apii", (req, res)=>{
   res.send("hey it working")
 })
 
+await initSigners();
+
 app.listen(port, (req, res) => {
   console.log(`server is listening on ${port}`);
+
+  if (process.env.INDEXER_ENABLED === "true") startIndexer();
+  if (process.env.PAYOUT_WORKER_ENABLED === "true") startPayoutWorker();
+  if (process.env.LEADERBOARD_SNAPSHOTS_ENABLED === "true")
+    startLeaderboardSnapshots();
 });
@@ -0,0 +1,73 @@
+import crypto from "crypto";
+import { writeAuditLog } from "../utils/audit.js";
+
+const REQUEST_ID = /^[\w-]{1,64}$/;
+
+// Tag every request with an id, reusing the one set by a proxy if present, so
+// audit entries can be matched with access logs
+export const assignRequestId = (req, res, next) => {
+  const incoming = req.get("x-request-id");
+  req.requestId = REQUEST_ID.test(incoming || "")
+    ? incoming
+    : crypto.randomUUID();
+  res.set("X-Request-Id", req.requestId);
+  next();
+};
+
+// Write an audit entry once the route succeeds. By default the target is the
+// :id / :userId route param and "after" is the (redacted) request body; a
+// handler can set res.locals.audit to give the target, a before/after diff or
+// the actor for routes used without a login.
+export const audit =
+  (action, { targetType = null, targetId = null } = {}) =>
+  (req, res, next) => {
+    res.locals.audited = true;
+
+    res.on("finish", () => {
+      if (res.statusCode >= 400) return;
+
+      writeAuditLog(req, {
+        action,
+        targetType,
+        targetId: targetId
+          ? targetId(req)
+          : (req.params.id ?? req.params.userId ?? null),
+        after: req.body && Object.keys(req.body).length ? req.body : null,
+        ...res.locals.audit,
+        metadata: {
+          method: req.method,
+          path: req.originalUrl.split("?")[0],
+          statusCode: res.statusCode,
+          ...res.locals.audit?.metadata,
+        },
+      });
+    });
+
+    next();
+  };
+
+// Router-level catch-all for the admin route groups: every state-changing
+// request gets an "admin.request" entry unless the route's own audit() entry
+// already covers it, so failed and unaudited admin requests are recorded too.
+// Reads are not recorded.
+export const auditAdminRequests = (req, res, next) => {
+  if (req.method === "GET") return next();
+
+  res.on("finish", () => {
+    if (!req.user) return;
+    if (res.locals.audited && res.statusCode < 400) return;
+
+    writeAuditLog(req, {
+      action: "admin.request",
+      metadata: {
+        method: req.method,
+        path: req.originalUrl.split("?")[0],
+        statusCode: res.statusCode,
+        params: req.params,
+        query: req.query,
+      },
+    });
+  });
+
+  next();
+};
@@ -1,6 +1,12 @@
 import Jwt from "jsonwebtoken";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import prisma from "../DB/config.js";
+import { PERMISSIONS, PUBLIC } from "../utils/permissions.js";
+import {
+  isTwoFactorEnabled,
+  verifyTwoFactor,
+  sendTwoFactorError,
+} from "../utils/twoFactor.js";
 
 export const verifyJwt = async (req, res, next) => {
   const token = req.header("Authorization")?.replace("Bearer ", "").trim();
@@ -12,20 +18,139 @@ export const verifyJwt = async (req, res, next) => {
       .json(new ApiResponse(400, {}, "Unauthorized request"));
   }
 
-  const decodToken = Jwt.verify(token, process.env.JWT_SECRET_KEY);
+  let decodToken;
+  try {
+    decodToken = Jwt.verify(token, process.env.JWT_SECRET_KEY);
+  } catch (error) {
+    return res
+      .status(401)
+      .json(new ApiResponse(401, {}, "Invalid or expired token"));
+  }
 
   console.log(`decoded token ----------------> ${decodToken}`);
 
-  const user = await prisma.user.findUnique({
-    where: {
-      id: decodToken.userId,
-    },
-  });
+  // Access tokens die with their session (logout, password change). Tokens
+  // issued before sessions existed carry no sessionId; they are accepted
+  // until they expire (3 days after login) unless the user logs out
+  // everywhere or changes their password, which moves tokensValidAfter.
+  try {
+    const session = decodToken.sessionId
+      ? await prisma.session.findUnique({
+          where: { id: decodToken.sessionId },
+        })
+      : null;
+
+    if (
+      decodToken.sessionId &&
+      (!session || session.revokedAt || session.userId !== decodToken.userId)
+    ) {
+      return res
+        .status(401)
+        .json(
+          new ApiResponse(401, {}, "Session has ended, please login again")
+        );
+    }
+
+    const user = await prisma.user.findUnique({
+      where: {
+        id: decodToken.userId,
+      },
+    });
+
+    if (!user) {
+      return res.status(404).json(new ApiResponse(400, {}, `Access Forbidden`));
+    }
+
+    // iat has whole seconds; a token issued in the same second survives
+    if (
+      user.tokensValidAfter &&
+      decodToken.iat < Math.floor(user.tokensValidAfter.getTime() / 1000)
+    ) {
+      return res
+        .status(401)
+        .json(
+          new ApiResponse(401, {}, "Session has ended, please login again")
+        );
+    }
+
+    if (session && Date.now() - session.lastUsedAt.getTime() > 60 * 1000) {
+      await prisma.session.update({
+        where: { id: session.id },
+        data: { lastUsedAt: new Date() },
+      });
+    }
 
-  if (user) {
     req.user = user;
+    req.sessionId = session?.id ?? null;
+  } catch (error) {
+    console.log(`error while verifying access token ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
+  }
+
+  next();
+};
+
+const forbidden = (res) =>
+  res.status(403).json(new ApiResponse(403, {}, `Access Forbidden`));
+
+// Must run after verifyJwt
+export const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.roll)) return forbidden(res);
+  next();
+};
+
+export const requirePermission = (permission) => {
+  const roles = PERMISSIONS[permission];
+
+  if (roles === undefined) {
+    throw new Error(`Unknown permission ${permission}`);
+  }
+
+  return requireRole(...(roles || []));
+};
+
+// Middleware chain for a route's permission: nothing for public routes,
+// otherwise a valid token plus one of the permission's roles
+export const authorize = (permission) => {
+  if (PERMISSIONS[permission] === PUBLIC) return [];
+  return [verifyJwt, requirePermission(permission)];
+};
+
+// Must run after verifyJwt. Users with 2FA enabled have to send a current
+// authenticator code as `totpCode` with the request; it is removed from the
+// body before the handler validates it.
+export const requireFreshTotp = async (req, res, next) => {
+  try {
+    const totpCode = req.body?.totpCode;
+    if (req.body) delete req.body.totpCode;
+
+    if (!(await isTwoFactorEnabled(req.user.id))) return next();
+
+    if (!totpCode)
+      return res
+        .status(401)
+        .json(
+          new ApiResponse(
+            401,
+            { code: "TWO_FACTOR_REQUIRED" },
+            `An authentication code is required for this action`
+          )
+        );
+
+    const result = await verifyTwoFactor(
+      req.user.id,
+      { code: String(totpCode) },
+      { req }
+    );
+
+    if (!result.ok) return sendTwoFactorError(res, result);
     next();
-  } else {
-    return res.status(404).json(new ApiResponse(400, {}, `Access Forbidden`));
+  } catch (error) {
+    console.log(`error while checking two-factor code ${error.message}`);
+    return res
+      .status(501)
+      .json(new ApiResponse(500, {}, `Internal Server Error`));
   }
 };
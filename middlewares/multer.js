@@ -1,14 +1,60 @@
 import multer from "multer";
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, "./public/temp");
-  },
+import { ApiResponse } from "../utils/ApiResponse.js";
+
+const maxFileSize = parseInt(process.env.DOCUMENT_MAX_BYTES || `${5 * 1024 * 1024}`);
 
-  filename: (req, file, cb) => {
-    cb(null, Date.now() + "-" + file.originalname);
+// Accepted document types with the bytes every such file starts with
+const DOCUMENT_TYPES = {
+  "image/jpeg": { extension: ".jpg", magic: [0xff, 0xd8, 0xff] },
+  "image/png": {
+    extension: ".png",
+    magic: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
   },
-});
+  "application/pdf": { extension: ".pdf", magic: [0x25, 0x50, 0x44, 0x46] },
+};
 
+// Files are kept in memory until the request has been validated, then
+// written to the private document storage with storeDocuments
 export const upload = multer({
-  storage,
+  storage: multer.memoryStorage(),
+  limits: { fileSize: maxFileSize, files: 2 },
+  fileFilter: (req, file, cb) => {
+    if (!DOCUMENT_TYPES[file.mimetype]) {
+      return cb(new Error(`Only JPEG, PNG and PDF documents are allowed`));
+    }
+    cb(null, true);
+  },
 });
+
+const hasMagicBytes = (file) => {
+  const { magic } = DOCUMENT_TYPES[file.mimetype];
+  return magic.every((byte, index) => file.buffer[index] === byte);
+};
+
+// Parse up to `count` documents from `field` and check their content.
+// Nothing is stored yet; the handler calls storeDocuments once the rest of
+// the request is valid. Each file gets the `extension` to store it with.
+export const uploadDocuments = (field, count) => (req, res, next) => {
+  upload.array(field, count)(req, res, (error) => {
+    if (error) {
+      return res.status(400).json(new ApiResponse(400, {}, error.message));
+    }
+
+    for (const file of req.files || []) {
+      if (!hasMagicBytes(file)) {
+        return res
+          .status(400)
+          .json(
+            new ApiResponse(
+              400,
+              {},
+              `${file.originalname} is not a valid ${file.mimetype} file`
+            )
+          );
+      }
+      file.extension = DOCUMENT_TYPES[file.mimetype].extension;
+    }
+
+    next();
+  });
+};
@@ -5,17 +5,90 @@ import {
   getAllTransactions,
   getContractOwner,
   stakingRewardHandle,
-  priceOfToken
+  priceOfToken,
+  getRpcStatusHandle,
+  getReferralRewardRulesHandle,
+  setReferralRewardRulesHandle,
+  previewReferralRewardHandle,
+  getPayoutJobsHandle,
+  getPayoutJobHandle,
+  retryPayoutJobHandle,
+  createStakingProgramHandle,
+  getStakingProgramsHandle,
+  updateStakingProgramHandle,
+  getPendingKycHandle,
+  getKycHistoryHandle,
+  reviewKycHandle,
+  getWalletChangesHandle,
+  reviewWalletChangeHandle,
+  getUserReferralTreeHandle,
+  getUserUplineHandle
 } from "../controllers/admin.controller.js";
-import { verifyJwt } from "../middlewares/auth.js";
+import {
+  exportTransactionsHandle,
+  exportPayoutsHandle,
+  exportReferralsHandle,
+  exportApprovedUsersHandle
+} from "../controllers/export.controller.js";
+import {
+  getLiveLeaderboardHandle,
+  getLeaderboardSnapshotHandle,
+  createLeaderboardSnapshotHandle
+} from "../controllers/leaderboard.controller.js";
+import {
+  proposeContractOperationHandle,
+  getContractProposalsHandle,
+  getContractProposalHandle,
+  approveContractProposalHandle,
+  rejectContractProposalHandle
+} from "../controllers/contractOperation.controller.js";
+import {
+  getAuditLogsHandle,
+  verifyAuditLogHandle
+} from "../controllers/audit.controller.js";
+import { authorize } from "../middlewares/auth.js";
+import { audit, auditAdminRequests } from "../middlewares/audit.js";
 
 const adminRouter = Router();
 
-adminRouter.post("/ambassador", verifyJwt, makeAmbassdorHandle);
-adminRouter.post("/coreTeam", verifyJwt, makeCoreTeamHandle);
-adminRouter.get("/allTransactions", verifyJwt, getAllTransactions);
-adminRouter.get("/owner", getContractOwner)
-adminRouter.get("/price", priceOfToken)
-adminRouter.post("/reward-transfer", stakingRewardHandle)
+adminRouter.use(auditAdminRequests)
+
+adminRouter.post("/ambassador", authorize("ambassador:create"), audit("ambassador.create", { targetType: "User", targetId: (req) => req.query.id }), makeAmbassdorHandle);
+adminRouter.post("/coreTeam", authorize("core-team:create"), audit("core-team.create", { targetType: "User", targetId: (req) => req.query.id }), makeCoreTeamHandle);
+adminRouter.get("/allTransactions", authorize("transaction:read:all"), getAllTransactions);
+adminRouter.get("/owner", authorize("contract:read"), getContractOwner)
+adminRouter.get("/price", authorize("contract:read"), priceOfToken)
+adminRouter.get("/rpc-status", authorize("rpc:read"), getRpcStatusHandle)
+adminRouter.post("/reward-transfer", authorize("staking-reward:distribute"), audit("staking-reward.distribute", { targetType: "StakingProgram", targetId: (req) => req.body.programId }), stakingRewardHandle)
+adminRouter.post("/staking/programs", authorize("staking-program:write"), audit("staking-program.create", { targetType: "StakingProgram" }), createStakingProgramHandle)
+adminRouter.get("/staking/programs", authorize("staking-program:read"), getStakingProgramsHandle)
+adminRouter.patch("/staking/programs/:id", authorize("staking-program:write"), audit("staking-program.update", { targetType: "StakingProgram" }), updateStakingProgramHandle)
+adminRouter.get("/referral-rewards/rules", authorize("referral-reward:rules:read"), getReferralRewardRulesHandle)
+adminRouter.put("/referral-rewards/rules", authorize("referral-reward:rules:write"), audit("referral-reward-rules.update", { targetType: "SalePhase", targetId: (req) => req.body.salePhase }), setReferralRewardRulesHandle)
+adminRouter.post("/referral-rewards/preview", authorize("referral-reward:preview"), previewReferralRewardHandle)
+adminRouter.get("/payouts", authorize("payout:read"), getPayoutJobsHandle)
+adminRouter.get("/payouts/:id", authorize("payout:read"), getPayoutJobHandle)
+adminRouter.post("/payouts/:id/retry", authorize("payout:retry"), audit("payout.retry", { targetType: "PayoutJob" }), retryPayoutJobHandle)
+adminRouter.get("/kyc/pending", authorize("kyc:review"), getPendingKycHandle)
+adminRouter.get("/kyc/:userId", authorize("kyc:review"), getKycHistoryHandle)
+adminRouter.post("/kyc/:userId/review", authorize("kyc:review"), audit("kyc.review", { targetType: "User" }), reviewKycHandle)
+adminRouter.get("/referrals/:userId/tree", authorize("referral:read:all"), getUserReferralTreeHandle)
+adminRouter.get("/referrals/:userId/upline", authorize("referral:read:all"), getUserUplineHandle)
+adminRouter.get("/referral-leaderboard", authorize("referral:read:all"), getLiveLeaderboardHandle)
+adminRouter.get("/referral-leaderboard/snapshot", authorize("referral:read:all"), getLeaderboardSnapshotHandle)
+adminRouter.post("/referral-leaderboard/snapshots", authorize("referral-leaderboard:snapshot"), createLeaderboardSnapshotHandle)
+adminRouter.get("/wallet-changes", authorize("wallet-change:review"), getWalletChangesHandle)
+adminRouter.post("/wallet-changes/:id/review", authorize("wallet-change:review"), audit("wallet-change.review", { targetType: "WalletChange" }), reviewWalletChangeHandle)
+adminRouter.get("/exports/transactions", authorize("export:read"), exportTransactionsHandle)
+adminRouter.get("/exports/reward-payouts", authorize("export:read"), exportPayoutsHandle)
+adminRouter.get("/exports/referrals", authorize("export:read"), exportReferralsHandle)
+adminRouter.get("/exports/kyc-approved-users", authorize("export:read"), exportApprovedUsersHandle)
+adminRouter.post("/contract-operations", authorize("contract-operation:propose"), audit("contract-operation.propose", { targetType: "ContractProposal" }), proposeContractOperationHandle)
+adminRouter.get("/contract-operations", authorize("contract-operation:read"), getContractProposalsHandle)
+adminRouter.get("/contract-operations/:id", authorize("contract-operation:read"), getContractProposalHandle)
+adminRouter.post("/contract-operations/:id/approve", authorize("contract-operation:approve"), audit("contract-operation.approve", { targetType: "ContractProposal" }), approveContractProposalHandle)
+adminRouter.post("/contract-operations/:id/reject", authorize("contract-operation:approve"), audit("contract-operation.reject", { targetType: "ContractProposal" }), rejectContractProposalHandle)
+adminRouter.get("/audit-logs", authorize("audit:read"), getAuditLogsHandle)
+adminRouter.get("/audit-logs/verify", authorize("audit:read"), verifyAuditLogHandle)
 
 export default adminRouter;
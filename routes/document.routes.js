@@ -0,0 +1,10 @@
+import { Router } from "express";
+import { downloadDocumentHandle } from "../controllers/document.controller.js";
+import { authorize } from "../middlewares/auth.js";
+
+const documentRouter = Router();
+
+// Access is granted by the signature in the link, not by a login
+documentRouter.get("/:key", authorize("document:download"), downloadDocumentHandle)
+
+export default documentRouter;
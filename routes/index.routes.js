@@ -1,11 +1,19 @@
 import { Router } from "express";
 import userRouter from "./user.routes.js";
 import adminRouter from "./admin.routes.js";
+import superAdminRouter from "./superAdmin.routes.js";
+import documentRouter from "./document.routes.js";
+import leaderboardRouter from "./leaderboard.routes.js";
+import saleRouter from "./sale.routes.js";
 
 
 const rootRouter = Router()
 
 rootRouter.use("/user", userRouter)
 rootRouter.use("/admin", adminRouter)
+rootRouter.use("/super-admin", superAdminRouter)
+rootRouter.use("/documents", documentRouter)
+rootRouter.use("/leaderboard", leaderboardRouter)
+rootRouter.use("/sale", saleRouter)
 
 export default rootRouter;
\ No newline at end of file
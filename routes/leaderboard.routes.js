@@ -0,0 +1,10 @@
+import { Router } from "express";
+import { getPublicLeaderboardHandle } from "../controllers/leaderboard.controller.js";
+import { authorize } from "../middlewares/auth.js";
+
+const leaderboardRouter = Router();
+
+// Names are masked, so the referral leaderboard is safe to show logged out
+leaderboardRouter.get("/referrals", authorize("leaderboard:public"), getPublicLeaderboardHandle)
+
+export default leaderboardRouter;
@@ -0,0 +1,9 @@
+import { Router } from "express";
+import { saleStatusHandle } from "../controllers/sale.controller.js";
+import { authorize } from "../middlewares/auth.js";
+
+const saleRouter = Router();
+
+saleRouter.get("/status", authorize("sale:read"), saleStatusHandle)
+
+export default saleRouter;
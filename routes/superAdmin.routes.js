@@ -0,0 +1,22 @@
+import { Router } from "express";
+import {
+  bootstrapSuperAdminHandle,
+  createAdminHandle,
+  demoteAdminHandle,
+  getAdminsHandle,
+  getAdminActionsHandle
+} from "../controllers/superAdmin.controller.js";
+import { authorize } from "../middlewares/auth.js";
+import { audit, auditAdminRequests } from "../middlewares/audit.js";
+
+const superAdminRouter = Router();
+
+superAdminRouter.use(auditAdminRequests)
+
+superAdminRouter.post("/bootstrap", authorize("superadmin:bootstrap"), audit("superadmin.bootstrap", { targetType: "User" }), bootstrapSuperAdminHandle)
+superAdminRouter.get("/admins", authorize("admin:manage"), getAdminsHandle)
+superAdminRouter.post("/admins", authorize("admin:manage"), audit("admin.create", { targetType: "User", targetId: (req) => req.body.userId }), createAdminHandle)
+superAdminRouter.post("/admins/:id/demote", authorize("admin:manage"), audit("admin.demote", { targetType: "User" }), demoteAdminHandle)
+superAdminRouter.get("/actions", authorize("admin:actions:read"), getAdminActionsHandle)
+
+export default superAdminRouter;
@@ -1,6 +1,8 @@
 import { Router } from "express";
-import { verifyJwt } from "../middlewares/auth.js";
-import {upload} from "../middlewares/multer.js"
+import { authorize, requireFreshTotp } from "../middlewares/auth.js";
+import { audit } from "../middlewares/audit.js";
+import {uploadDocuments} from "../middlewares/multer.js"
+import { getMyLeaderboardHandle } from "../controllers/leaderboard.controller.js";
 
 import {
   userSignupHandle,
@@ -16,27 +18,72 @@ import {
   transactionDetailsHandle,
   updateAddressOfUserHandle,
   forgotPasswordHandle,
-  getReferralCodeHandle
+  getReferralCodeHandle,
+  getMyStakingRewardsHandle,
+  refreshTokenHandle,
+  logoutHandle,
+  logoutAllHandle,
+  getSessionsHandle,
+  revokeSessionHandle,
+  verifyResetOtpHandle,
+  resetPasswordHandle,
+  loginTwoFactorHandle,
+  setupTwoFactorHandle,
+  confirmTwoFactorHandle,
+  regenerateRecoveryCodesHandle,
+  disableTwoFactorHandle,
+  walletChallengeHandle,
+  requestWalletChangeHandle,
+  confirmWalletChangeHandle,
+  getWalletHistoryHandle,
+  siweNonceHandle,
+  siweLoginHandle,
+  getReferralTreeHandle,
+  getUplineHandle,
+  getPortfolioHandle
   
 
 } from "../controllers/user.controller.js";
 
 const userRouter = Router();
 
-userRouter.get("/profile", verifyJwt, myProfileHandle)
-userRouter.post("/signup", userSignupHandle);
-userRouter.post("/login", loginHandle);
-userRouter.post("/verifyOtp", verifyOtpHandle);
-userRouter.post("/resendOtp", resendOtpHandle);
-userRouter.post("/change-password", changePasswordHandle)
-userRouter.get("/referrals", verifyJwt, getAllreferralsHandle)
-userRouter.get("/transactions", verifyJwt, getMyTransactionHandle)
-userRouter.post("/transaction", verifyJwt, transactionDetailsHandle)
-userRouter.post("/documents", verifyJwt, upload.array(`images`, 2),uploadDocumentsHandle)
-userRouter.post("/refferal-reward", verifyJwt, referralRewardHandle)
-userRouter.post("/add-address", verifyJwt, updateAddressOfUserHandle)
-userRouter.post("/forgot-password", forgotPasswordHandle )
-userRouter.get("/referral-code", verifyJwt, getReferralCodeHandle)
+userRouter.get("/profile", authorize("profile:read"), myProfileHandle)
+userRouter.post("/signup", authorize("auth:signup"), userSignupHandle);
+userRouter.post("/login", authorize("auth:login"), audit("auth.login", { targetType: "User" }), loginHandle);
+userRouter.post("/login/2fa", authorize("auth:login"), audit("auth.login", { targetType: "User" }), loginTwoFactorHandle)
+userRouter.post("/siwe/nonce", authorize("auth:login"), siweNonceHandle)
+userRouter.post("/siwe/login", authorize("auth:login"), audit("auth.login", { targetType: "User" }), siweLoginHandle)
+userRouter.post("/2fa/setup", authorize("two-factor:manage"), setupTwoFactorHandle)
+userRouter.post("/2fa/confirm", authorize("two-factor:manage"), audit("two-factor.enable", { targetType: "User", targetId: (req) => req.user.id }), confirmTwoFactorHandle)
+userRouter.post("/2fa/recovery-codes", authorize("two-factor:manage"), audit("two-factor.recovery-codes.regenerate", { targetType: "User", targetId: (req) => req.user.id }), regenerateRecoveryCodesHandle)
+userRouter.post("/2fa/disable", authorize("two-factor:manage"), audit("two-factor.disable", { targetType: "User", targetId: (req) => req.user.id }), disableTwoFactorHandle)
+userRouter.post("/refresh-token", authorize("auth:refresh"), refreshTokenHandle)
+userRouter.post("/logout", authorize("session:manage"), logoutHandle)
+userRouter.post("/logout-all", authorize("session:manage"), audit("session.revoke-all", { targetType: "User", targetId: (req) => req.user.id }), logoutAllHandle)
+userRouter.get("/sessions", authorize("session:manage"), getSessionsHandle)
+userRouter.delete("/sessions/:id", authorize("session:manage"), audit("session.revoke", { targetType: "Session" }), revokeSessionHandle)
+userRouter.post("/verifyOtp", authorize("auth:otp"), verifyOtpHandle);
+userRouter.post("/resendOtp", authorize("auth:otp"), resendOtpHandle);
+userRouter.post("/change-password", authorize("password:change"), requireFreshTotp, audit("password.change", { targetType: "User", targetId: (req) => req.user.id }), changePasswordHandle)
+userRouter.post("/reset-password/verify-otp", authorize("auth:password-reset"), verifyResetOtpHandle)
+userRouter.post("/reset-password", authorize("auth:password-reset"), audit("password.reset", { targetType: "User" }), resetPasswordHandle)
+userRouter.get("/referrals", authorize("referral:read"), getAllreferralsHandle)
+userRouter.get("/referrals/tree", authorize("referral:read"), getReferralTreeHandle)
+userRouter.get("/referrals/upline", authorize("referral:read"), getUplineHandle)
+userRouter.get("/referral-leaderboard", authorize("referral:read"), getMyLeaderboardHandle)
+userRouter.get("/transactions", authorize("transaction:read:own"), getMyTransactionHandle)
+userRouter.post("/transaction", authorize("transaction:create"), transactionDetailsHandle)
+userRouter.post("/documents", authorize("kyc:submit"), uploadDocuments(`images`, 2),uploadDocumentsHandle)
+userRouter.post("/refferal-reward", authorize("referral-reward:claim"), audit("referral-reward.claim", { targetType: "Transaction" }), referralRewardHandle)
+userRouter.post("/wallet/challenge", authorize("wallet:bind"), walletChallengeHandle)
+userRouter.post("/add-address", authorize("wallet:bind"), requireFreshTotp, audit("wallet.bind", { targetType: "User", targetId: (req) => req.user.id }), updateAddressOfUserHandle)
+userRouter.post("/wallet/change", authorize("wallet:bind"), requireFreshTotp, audit("wallet-change.request", { targetType: "WalletChange" }), requestWalletChangeHandle)
+userRouter.post("/wallet/change/:id/confirm", authorize("wallet:bind"), requireFreshTotp, audit("wallet-change.confirm", { targetType: "WalletChange" }), confirmWalletChangeHandle)
+userRouter.get("/wallet/history", authorize("wallet:bind"), getWalletHistoryHandle)
+userRouter.post("/forgot-password", authorize("auth:password-reset"), forgotPasswordHandle )
+userRouter.get("/referral-code", authorize("referral:read"), getReferralCodeHandle)
+userRouter.get("/portfolio", authorize("portfolio:read"), getPortfolioHandle)
+userRouter.get("/staking-rewards", authorize("staking-reward:read:own"), getMyStakingRewardsHandle)
 
 
 export default userRouter;
\ No newline at end of file
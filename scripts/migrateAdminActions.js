@@ -0,0 +1,72 @@
+import "dotenv/config.js";
+import prisma from "../DB/config.js";
+import { writeAuditLog } from "../utils/audit.js";
+
+// Copies the rows of the retired AdminAction table into the audit log as
+// "admin.request" entries, so admin history has a single, hash-chained home.
+// Entries are appended in id order with the original time in
+// metadata.recordedAt, and the request id "admin-action-<id>" marks rows that
+// were already copied, so the script is safe to run more than once. Run it
+// before the schema update drops the table (see DEPLOY.md).
+//
+//   npm run migrate:admin-actions
+
+const MARKER = "admin-action-";
+
+const migrate = async () => {
+  const [table] = await prisma.$queryRaw`
+    SELECT COUNT(*) AS count FROM information_schema.tables
+    WHERE table_schema = DATABASE() AND table_name = 'AdminAction'`;
+  if (Number(table.count) === 0) {
+    console.log(`no AdminAction table, nothing to migrate`);
+    return;
+  }
+
+  const copied = new Set(
+    (
+      await prisma.auditLog.findMany({
+        where: { requestId: { startsWith: MARKER } },
+        select: { requestId: true },
+      })
+    ).map((log) => log.requestId)
+  );
+
+  const rows =
+    await prisma.$queryRaw`SELECT * FROM \`AdminAction\` ORDER BY id ASC`;
+  let count = 0;
+
+  for (const row of rows) {
+    const requestId = `${MARKER}${row.id}`;
+    if (copied.has(requestId)) continue;
+
+    const log = await writeAuditLog(
+      { requestId },
+      {
+        action: "admin.request",
+        actor: { id: row.userId, roll: row.role },
+        metadata: {
+          method: row.method,
+          path: row.path,
+          statusCode: row.statusCode,
+          ...(typeof row.params === "string"
+            ? JSON.parse(row.params)
+            : row.params),
+          recordedAt: row.createdAt,
+        },
+      }
+    );
+    if (!log) throw new Error(`could not copy admin action ${row.id}`);
+    count += 1;
+  }
+
+  console.log(`copied ${count} admin actions to the audit log`);
+};
+
+try {
+  await migrate();
+} catch (error) {
+  console.log(`error while migrating admin actions ${error.message}`);
+  process.exitCode = 1;
+} finally {
+  await prisma.$disconnect();
+}
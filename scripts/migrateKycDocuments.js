@@ -0,0 +1,127 @@
+import "dotenv/config.js";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import prisma from "../DB/config.js";
+import { documentStorage } from "../utils/storage.js";
+
+// Moves KYC documents uploaded before private storage existed out of the
+// public folder. Each file gets an unguessable key in the document storage,
+// the User and KycReview rows pointing at it are updated, and the public copy
+// is deleted. Safe to run more than once.
+//
+// It refuses to change anything while a referenced document is missing from
+// LEGACY_DOCUMENT_PATH, since that usually means the files were removed by a
+// deploy before the migration ran (see DEPLOY.md). Pass --skip-missing to
+// migrate the rest anyway.
+//
+//   npm run migrate:kyc-documents [-- --skip-missing]
+
+const legacyDir = path.resolve(
+  process.env.LEGACY_DOCUMENT_PATH || "./public/temp"
+);
+
+const EXTENSIONS = {
+  ".jpeg": ".jpg",
+  ".jpg": ".jpg",
+  ".png": ".png",
+  ".pdf": ".pdf",
+};
+
+const skipMissing = process.argv.includes("--skip-missing");
+
+const isStorageKey = (value) => /^[0-9a-f]{32}\.[a-z]+$/.test(value);
+
+const legacyPathOf = (name) => {
+  const legacyPath = path.join(legacyDir, name);
+  return path.dirname(legacyPath) === legacyDir && fs.existsSync(legacyPath)
+    ? legacyPath
+    : null;
+};
+
+const isMigrated = async (name) =>
+  isStorageKey(name) && (await documentStorage.exists(name));
+
+// Map of old file name -> new storage key for every file moved in this run
+const moved = new Map();
+
+const moveDocument = async (name) => {
+  if (moved.has(name)) return moved.get(name);
+  if (await isMigrated(name)) return null;
+
+  const legacyPath = legacyPathOf(name);
+  if (!legacyPath) {
+    console.log(`document ${name} not found in ${legacyDir}, skipped`);
+    return null;
+  }
+
+  const extension = EXTENSIONS[path.extname(name).toLowerCase()] || ".bin";
+  const key = crypto.randomBytes(16).toString("hex") + extension;
+  await documentStorage.save(key, await fs.promises.readFile(legacyPath));
+
+  moved.set(name, key);
+  return key;
+};
+
+const migrate = async () => {
+  const users = await prisma.user.findMany({
+    where: {
+      OR: [{ documentFront: { not: null } }, { documentBack: { not: null } }],
+    },
+    select: { id: true, documentFront: true, documentBack: true },
+  });
+
+  const missing = [];
+  for (const user of users) {
+    for (const name of [user.documentFront, user.documentBack]) {
+      if (name && !(await isMigrated(name)) && !legacyPathOf(name))
+        missing.push(`user ${user.id}: ${name}`);
+    }
+  }
+
+  if (missing.length) {
+    console.log(
+      `documents missing from ${legacyDir}:\n  ${missing.join("\n  ")}`
+    );
+    if (!skipMissing)
+      throw new Error(
+        `${missing.length} documents are missing; restore them (see DEPLOY.md) or pass --skip-missing`
+      );
+  }
+
+  for (const user of users) {
+    for (const field of ["documentFront", "documentBack"]) {
+      const name = user[field];
+      if (!name) continue;
+
+      const key = await moveDocument(name);
+      if (!key) continue;
+
+      await prisma.$transaction([
+        prisma.user.updateMany({
+          where: { [field]: name },
+          data: { [field]: key },
+        }),
+        prisma.kycReview.updateMany({
+          where: { [field]: name },
+          data: { [field]: key },
+        }),
+      ]);
+    }
+  }
+
+  // Only delete public copies once every row points at the new keys
+  for (const name of moved.keys())
+    await fs.promises.rm(path.join(legacyDir, name), { force: true });
+
+  console.log(`moved ${moved.size} documents to private storage`);
+};
+
+try {
+  await migrate();
+} catch (error) {
+  console.log(`error while migrating kyc documents ${error.message}`);
+  process.exitCode = 1;
+} finally {
+  await prisma.$disconnect();
+}
@@ -0,0 +1,181 @@
+import crypto from "crypto";
+import prisma from "../DB/config.js";
+
+export const GENESIS_HASH = "0".repeat(64);
+
+const SENSITIVE_KEY = /password|secret|token|otp|signature|recovery|^code$/i;
+
+// Plain JSON with BigInts and Decimals as strings, so the value hashed is
+// exactly the value stored
+const toJson = (value) =>
+  value === undefined || value === null
+    ? null
+    : JSON.parse(
+        JSON.stringify(value, (key, v) =>
+          typeof v === "bigint" ? v.toString() : v
+        )
+      );
+
+// Replace credentials anywhere in a payload before it is logged
+export const redact = (value) => {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== "object") return value;
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, v]) => [
+      key,
+      SENSITIVE_KEY.test(key) ? "[REDACTED]" : redact(v),
+    ])
+  );
+};
+
+// Keep only the fields that changed between two snapshots
+export const auditDiff = (before, after) => {
+  const oldValues = toJson(before) || {};
+  const newValues = toJson(after) || {};
+  const diff = { before: {}, after: {} };
+
+  for (const key of new Set([
+    ...Object.keys(oldValues),
+    ...Object.keys(newValues),
+  ])) {
+    if (JSON.stringify(oldValues[key]) === JSON.stringify(newValues[key]))
+      continue;
+    if (key in oldValues) diff.before[key] = oldValues[key];
+    if (key in newValues) diff.after[key] = newValues[key];
+  }
+
+  return diff;
+};
+
+// MySQL reorders JSON object keys, so hash a key-sorted serialisation
+const canonical = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(",")}]`;
+  if (value && typeof value === "object")
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonical(value[key])}`)
+      .join(",")}}`;
+  return JSON.stringify(value ?? null);
+};
+
+export const computeAuditHash = (entry) =>
+  crypto
+    .createHash("sha256")
+    .update(
+      canonical({
+        prevHash: entry.prevHash,
+        actorId: entry.actorId ?? null,
+        actorRole: entry.actorRole ?? null,
+        action: entry.action,
+        targetType: entry.targetType ?? null,
+        targetId: entry.targetId ?? null,
+        before: entry.before ?? null,
+        after: entry.after ?? null,
+        metadata: entry.metadata ?? null,
+        ip: entry.ip ?? null,
+        requestId: entry.requestId ?? null,
+        createdAt: new Date(entry.createdAt).toISOString(),
+      })
+    )
+    .digest("hex");
+
+// Append one entry to the chain. The actor, IP and request id come from the
+// request unless given. Never throws: a failed write is logged and the
+// caller's action stands.
+export const writeAuditLog = async (
+  req,
+  {
+    action,
+    targetType = null,
+    targetId = null,
+    before = null,
+    after = null,
+    metadata = null,
+    actor = req?.user,
+  }
+) => {
+  const entry = {
+    actorId: actor?.id ?? null,
+    actorRole: actor?.roll ?? null,
+    action,
+    targetType,
+    targetId: targetId === null ? null : String(targetId),
+    before: toJson(redact(before)),
+    after: toJson(redact(after)),
+    metadata: toJson(redact(metadata)),
+    ip: req?.ip ?? null,
+    requestId: req?.requestId ?? null,
+  };
+
+  try {
+    return await prisma.$transaction(async (tx) => {
+      await tx.$executeRaw`INSERT IGNORE INTO \`AuditChainHead\` (id, lastId, hash) VALUES (1, 0, ${GENESIS_HASH})`;
+      const [head] =
+        await tx.$queryRaw`SELECT lastId, hash FROM \`AuditChainHead\` WHERE id = 1 FOR UPDATE`;
+
+      const row = { ...entry, prevHash: head.hash, createdAt: new Date() };
+      row.hash = computeAuditHash(row);
+
+      // Prisma rejects a bare null for Json columns; omitted stores NULL
+      const log = await tx.auditLog.create({
+        data: {
+          ...row,
+          before: row.before ?? undefined,
+          after: row.after ?? undefined,
+          metadata: row.metadata ?? undefined,
+        },
+      });
+      await tx.auditChainHead.update({
+        where: { id: 1 },
+        data: { lastId: log.id, hash: log.hash },
+      });
+
+      return log;
+    });
+  } catch (error) {
+    console.log(`error while writing audit log ${action} ${error.message}`);
+    return null;
+  }
+};
+
+// Walk the chain in id order up to the head and report the first entry whose
+// hash or link does not match. Comparing with the head catches entries removed
+// from the end. Entries appended while this runs are left for the next check.
+export const verifyAuditChain = async ({ batchSize = 1000 } = {}) => {
+  const head = (await prisma.auditChainHead.findUnique({
+    where: { id: 1 },
+  })) || {
+    lastId: 0,
+    hash: GENESIS_HASH,
+  };
+
+  let prevHash = GENESIS_HASH;
+  let lastId = 0;
+  let checked = 0;
+
+  for (;;) {
+    const rows = await prisma.auditLog.findMany({
+      where: { id: { gt: lastId, lte: head.lastId } },
+      orderBy: { id: "asc" },
+      take: batchSize,
+    });
+    if (!rows.length) break;
+
+    for (const row of rows) {
+      if (row.prevHash !== prevHash)
+        return { valid: false, checked, brokenAt: row.id, reason: "link" };
+      if (computeAuditHash(row) !== row.hash)
+        return { valid: false, checked, brokenAt: row.id, reason: "hash" };
+
+      prevHash = row.hash;
+      lastId = row.id;
+      checked += 1;
+    }
+  }
+
+  if (head.hash !== prevHash || head.lastId !== lastId)
+    return { valid: false, checked, brokenAt: lastId, reason: "head" };
+
+  return { valid: true, checked, lastId, hash: prevHash };
+};
@@ -0,0 +1,108 @@
+import { once } from "events";
+import ExcelJS from "exceljs";
+import { ethers } from "ethers";
+import prisma from "../DB/config.js";
+
+export const EXPORT_FORMATS = ["csv", "xlsx"];
+
+const BATCH_SIZE = parseInt(process.env.EXPORT_BATCH_SIZE || "500");
+
+// Read `model` rows in id order, one batch at a time, so an export never holds
+// more than BATCH_SIZE rows in memory
+export async function* batchRows(model, { where, include, select }) {
+  let cursor = null;
+
+  while (true) {
+    const rows = await prisma[model].findMany({
+      where,
+      include,
+      select,
+      orderBy: { id: "asc" },
+      take: BATCH_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+    });
+
+    yield* rows;
+
+    if (rows.length < BATCH_SIZE) return;
+    cursor = rows[rows.length - 1].id;
+  }
+}
+
+// Base-unit amount as a decimal string, e.g. "1500000" with 6 decimals -> "1.5"
+export const formatAmount = (amount, decimals) => {
+  if (amount === null || amount === undefined || amount === "") return "";
+  try {
+    return ethers.formatUnits(BigInt(amount), decimals);
+  } catch (error) {
+    return String(amount);
+  }
+};
+
+export const formatDate = (date) => (date ? date.toISOString() : "");
+
+const cellValue = (value) =>
+  value === null || value === undefined ? "" : String(value);
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  let text = cellValue(value);
+  if (FORMULA_PREFIX.test(text) && isNaN(Number(text))) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const writeCsv = async (res, columns, rows) => {
+  res.write(columns.map((column) => csvCell(column.header)).join(",") + "\n");
+
+  for await (const row of rows) {
+    const line =
+      columns.map((column) => csvCell(column.value(row))).join(",") + "\n";
+    if (!res.write(line)) await once(res, "drain");
+  }
+
+  res.end();
+};
+
+const writeXlsx = async (res, sheetName, columns, rows) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: res,
+    useStyles: false,
+    useSharedStrings: false,
+  });
+  const sheet = workbook.addWorksheet(sheetName);
+
+  sheet.columns = columns.map((column) => ({
+    header: column.header,
+    key: column.header,
+    width: column.width || 20,
+  }));
+
+  for await (const row of rows) {
+    sheet
+      .addRow(columns.map((column) => cellValue(column.value(row))))
+      .commit();
+  }
+
+  sheet.commit();
+  await workbook.commit();
+};
+
+// Stream `rows` (an async iterable) to the response as CSV or XLSX. Each
+// column is { header, value(row), width? }.
+export const streamExport = async (res, { format, name, columns, rows }) => {
+  const filename = `${name}-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  res.status(200);
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  res.setHeader(
+    "Content-Type",
+    format === "csv"
+      ? "text/csv; charset=utf-8"
+      : "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+  );
+
+  if (format === "csv") return writeCsv(res, columns, rows);
+  return writeXlsx(res, name, columns, rows);
+};
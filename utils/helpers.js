@@ -4,7 +4,6 @@ import { nanoid } from "nanoid";
 
 export const generateOTP =()=> {
     const otp = crypto.randomInt(100000, 999999);
-    console.log(otp.toString())
     return otp.toString();
 }
 
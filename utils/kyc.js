@@ -0,0 +1,61 @@
+import { Prisma } from "@prisma/client";
+import prisma from "../DB/config.js";
+
+// Allowed KYC status changes. A rejection is final; reviewers who want new
+// documents use resubmission_requested instead.
+export const KYC_TRANSITIONS = {
+  not_submitted: ["pending"],
+  pending: ["approved", "rejected", "resubmission_requested"],
+  resubmission_requested: ["pending"],
+  rejected: [],
+  approved: [],
+};
+
+export const canTransitionKyc = (from, to) =>
+  KYC_TRANSITIONS[from]?.includes(to) || false;
+
+export const isKycApproved = (user) => user?.kycStatus === "approved";
+
+// Move a user to a new KYC status and append the change to their history.
+// Returns null when the change is not allowed from the current status,
+// including when a concurrent review changed the status first.
+export const transitionKyc = async (
+  userId,
+  toStatus,
+  { reviewerId = null, note = null, documents = {} } = {}
+) => {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const user = await tx.user.findUnique({ where: { id: userId } });
+
+      if (!user || !canTransitionKyc(user.kycStatus, toStatus)) return null;
+
+      const updated = await tx.user.update({
+        where: { id: userId, kycStatus: user.kycStatus },
+        data: { kycStatus: toStatus, ...documents },
+      });
+
+      await tx.kycReview.create({
+        data: {
+          userId,
+          fromStatus: user.kycStatus,
+          toStatus,
+          documentId: updated.documentId,
+          documentFront: updated.documentFront,
+          documentBack: updated.documentBack,
+          reviewerId,
+          note,
+        },
+      });
+
+      return updated;
+    });
+  } catch (error) {
+    if (
+      error instanceof Prisma.PrismaClientKnownRequestError &&
+      error.code === "P2025"
+    )
+      return null;
+    throw error;
+  }
+};
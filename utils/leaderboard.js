@@ -0,0 +1,235 @@
+import { Prisma } from "@prisma/client";
+import prisma from "../DB/config.js";
+
+// Referral leaderboard: how many signups each referrer brought in over a
+// window and how far those signups converted. Completed days and weeks are
+// frozen into snapshots so past rankings do not move when data changes later.
+
+export const LEADERBOARD_METRICS = [
+  "signups",
+  "verifiedSignups",
+  "kycApprovals",
+  "firstPurchases",
+  "purchaseVolume",
+];
+export const SNAPSHOT_PERIODS = ["daily", "weekly"];
+
+const pollInterval = parseInt(
+  process.env.LEADERBOARD_SNAPSHOT_INTERVAL_MS || "3600000"
+);
+
+let running = false;
+let timer = null;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// UTC start of the day or week (weeks start on Monday) containing `date`
+export const periodStart = (period, date) => {
+  const start = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  );
+  if (period === "weekly") {
+    const daysSinceMonday = (start.getUTCDay() + 6) % 7;
+    start.setTime(start.getTime() - daysSinceMonday * DAY_MS);
+  }
+  return start;
+};
+
+export const periodEnd = (period, start) =>
+  new Date(start.getTime() + (period === "weekly" ? 7 : 1) * DAY_MS);
+
+// Start of the most recent period that has fully ended
+export const lastCompletedPeriodStart = (period, now = new Date()) =>
+  periodStart(period, new Date(periodStart(period, now).getTime() - 1));
+
+const toCount = (value) => Number(value || 0);
+const toAmount = (value) => {
+  if (value === null || value === undefined) return "0";
+  return typeof value.toFixed === "function" ? value.toFixed(0) : String(value);
+};
+
+// Metrics for every referrer with activity in [from, to), direct referrals
+// only. kycApprovals and firstPurchases count how many of the window's
+// signups are now KYC approved or have bought, so they drive the conversion
+// rates. Purchase volume is placed in the window by block time; buys recorded
+// before block times were stored fall back to when we saw them.
+export const computeLeaderboard = async (from, to) => {
+  const rows = await prisma.$queryRaw`
+    WITH purchasers AS (
+      SELECT DISTINCT userId
+      FROM \`Transaction\`
+      WHERE type = 'buy' AND status = 'confirmed'
+    ),
+    signups AS (
+      SELECT r.referrerId,
+        COUNT(*) AS signups,
+        SUM(u.isVerified) AS verifiedSignups,
+        SUM(u.kycStatus = 'approved') AS kycApprovals,
+        COUNT(p.userId) AS firstPurchases
+      FROM \`Referral\` r
+      JOIN \`User\` u ON u.id = r.referredId
+      LEFT JOIN purchasers p ON p.userId = r.referredId
+      WHERE r.createdAt >= ${from} AND r.createdAt < ${to}
+      GROUP BY r.referrerId
+    ),
+    volume AS (
+      SELECT r.referrerId,
+        SUM(CAST(t.amount AS DECIMAL(65, 0))) AS purchaseVolume
+      FROM \`Transaction\` t
+      JOIN \`Referral\` r ON r.referredId = t.userId
+      WHERE t.type = 'buy' AND t.status = 'confirmed'
+        AND COALESCE(t.blockTimestamp, t.createdAt) >= ${from}
+        AND COALESCE(t.blockTimestamp, t.createdAt) < ${to}
+      GROUP BY r.referrerId
+    ),
+    referrers AS (
+      SELECT referrerId FROM signups
+      UNION SELECT referrerId FROM volume
+    )
+    SELECT x.referrerId AS userId, u.firstName, u.lastName,
+      s.signups, s.verifiedSignups, s.kycApprovals, s.firstPurchases,
+      v.purchaseVolume
+    FROM referrers x
+    JOIN \`User\` u ON u.id = x.referrerId
+    LEFT JOIN signups s ON s.referrerId = x.referrerId
+    LEFT JOIN volume v ON v.referrerId = x.referrerId
+  `;
+
+  return rows.map((row) => ({
+    userId: row.userId,
+    firstName: row.firstName,
+    lastName: row.lastName,
+    signups: toCount(row.signups),
+    verifiedSignups: toCount(row.verifiedSignups),
+    kycApprovals: toCount(row.kycApprovals),
+    firstPurchases: toCount(row.firstPurchases),
+    purchaseVolume: toAmount(row.purchaseVolume),
+  }));
+};
+
+// Volume is a base-unit string, so compare everything as BigInt
+const metricValue = (entry, metric) => BigInt(entry[metric]);
+
+const rate = (part, whole) =>
+  whole > 0 ? Math.round((part / whole) * 10000) / 100 : 0;
+
+// Sort by `metric` (highest first, ties by user id), number the ranks and
+// add conversion rates as percentages of the window's signups
+export const rankLeaderboard = (entries, metric) =>
+  [...entries]
+    .sort((a, b) => {
+      const difference = metricValue(b, metric) - metricValue(a, metric);
+      if (difference !== 0n) return difference > 0n ? 1 : -1;
+      return a.userId - b.userId;
+    })
+    .map((entry, index) => ({
+      rank: index + 1,
+      ...entry,
+      conversion: {
+        verified: rate(entry.verifiedSignups, entry.signups),
+        kycApproved: rate(entry.kycApprovals, entry.signups),
+        purchased: rate(entry.firstPurchases, entry.signups),
+      },
+    }));
+
+// "Jonathan Smith" -> "Jo*** S."
+export const maskName = (firstName, lastName) =>
+  `${(firstName || "").slice(0, 2)}***${lastName ? ` ${lastName[0]}.` : ""}`;
+
+// Freeze the leaderboard for one completed period. Safe to call again: an
+// existing snapshot is returned unchanged.
+export const createSnapshot = async (period, start) => {
+  const existing = await prisma.referralLeaderboardSnapshot.findUnique({
+    where: { period_periodStart: { period, periodStart: start } },
+  });
+  if (existing) return existing;
+
+  const end = periodEnd(period, start);
+  if (end > new Date()) throw new Error(`${period} period has not ended yet`);
+
+  const entries = await computeLeaderboard(start, end);
+
+  try {
+    return await prisma.referralLeaderboardSnapshot.create({
+      data: {
+        period,
+        periodStart: start,
+        periodEnd: end,
+        entries: {
+          create: entries.map(({ firstName, lastName, ...entry }) => entry),
+        },
+      },
+    });
+  } catch (error) {
+    // Another process wrote the same snapshot first
+    if (
+      error instanceof Prisma.PrismaClientKnownRequestError &&
+      error.code === "P2002"
+    ) {
+      return prisma.referralLeaderboardSnapshot.findUnique({
+        where: { period_periodStart: { period, periodStart: start } },
+      });
+    }
+    throw error;
+  }
+};
+
+// Ranked entries of a stored snapshot with the referrers' names
+export const getSnapshotLeaderboard = async (period, start, metric) => {
+  const snapshot = await prisma.referralLeaderboardSnapshot.findUnique({
+    where: { period_periodStart: { period, periodStart: start } },
+    include: {
+      entries: {
+        include: { user: { select: { firstName: true, lastName: true } } },
+      },
+    },
+  });
+
+  if (!snapshot) return null;
+
+  const entries = snapshot.entries.map(({ user, ...entry }) => ({
+    userId: entry.userId,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    signups: entry.signups,
+    verifiedSignups: entry.verifiedSignups,
+    kycApprovals: entry.kycApprovals,
+    firstPurchases: entry.firstPurchases,
+    purchaseVolume: entry.purchaseVolume,
+  }));
+
+  return {
+    period: snapshot.period,
+    periodStart: snapshot.periodStart,
+    periodEnd: snapshot.periodEnd,
+    createdAt: snapshot.createdAt,
+    entries: rankLeaderboard(entries, metric),
+  };
+};
+
+const tick = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    for (const period of SNAPSHOT_PERIODS) {
+      await createSnapshot(period, lastCompletedPeriodStart(period));
+    }
+  } catch (error) {
+    console.log(`error while creating leaderboard snapshots ${error.message}`);
+  } finally {
+    running = false;
+    if (timer) timer = setTimeout(tick, pollInterval);
+  }
+};
+
+export const startLeaderboardSnapshots = () => {
+  if (timer) return;
+  console.log(`referral leaderboard snapshots started`);
+  timer = setTimeout(tick, 0);
+};
+
+export const stopLeaderboardSnapshots = () => {
+  clearTimeout(timer);
+  timer = null;
+};
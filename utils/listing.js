@@ -0,0 +1,178 @@
+import Joi from "joi";
+import prisma from "../DB/config.js";
+
+// Shared query parsing for list endpoints: cursor pagination, sorting and the
+// filters each list supports. Exports reuse the same filters.
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+export const TRANSACTION_SORT_FIELDS = ["createdAt", "blockNumber", "id"];
+export const REFERRAL_SORT_FIELDS = ["createdAt", "id"];
+export const AUDIT_LOG_SORT_FIELDS = ["createdAt", "id"];
+
+const dateRange = {
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().min(Joi.ref("from")).optional(),
+};
+
+const pageKeys = (sortFields) => ({
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(MAX_PAGE_SIZE)
+    .default(DEFAULT_PAGE_SIZE),
+  cursor: Joi.number().integer().min(1).optional(),
+  sortBy: Joi.string()
+    .valid(...sortFields)
+    .default("createdAt"),
+  order: Joi.string().valid("asc", "desc").default("desc"),
+});
+
+// `staff` adds the filters only admins may use (other users' rows)
+export const transactionFilterKeys = ({ staff = false } = {}) => ({
+  type: Joi.string().valid("buy", "claim", "transfer", "reward").optional(),
+  status: Joi.string().max(50).optional(),
+  transactionHash: Joi.string().max(100).optional(),
+  ...dateRange,
+  ...(staff && {
+    userId: Joi.number().integer().optional(),
+    wallet: Joi.string().max(100).optional(),
+  }),
+});
+
+export const transactionQuerySchema = (options) =>
+  Joi.object({
+    ...transactionFilterKeys(options),
+    ...pageKeys(TRANSACTION_SORT_FIELDS),
+  });
+
+export const referralFilterKeys = ({ staff = false } = {}) => ({
+  ...dateRange,
+  ...(staff && {
+    referrerId: Joi.number().integer().optional(),
+    referredId: Joi.number().integer().optional(),
+    // kept for old clients, same as referrerId
+    id: Joi.number().integer().optional(),
+  }),
+});
+
+export const referralQuerySchema = (options) =>
+  Joi.object({
+    ...referralFilterKeys(options),
+    ...pageKeys(REFERRAL_SORT_FIELDS),
+  });
+
+export const payoutFilterKeys = () => ({
+  status: Joi.string()
+    .valid("queued", "submitted", "confirmed", "failed", "replaced")
+    .optional(),
+  kind: Joi.string().valid("referral_reward", "staking_reward").optional(),
+  recipient: Joi.string().max(100).optional(),
+  ...dateRange,
+});
+
+// KYC-approved users; the date range applies to when they were approved
+export const approvedUserFilterKeys = () => ({
+  country: Joi.string().max(100).optional(),
+  ...dateRange,
+});
+
+export const auditLogQuerySchema = () =>
+  Joi.object({
+    actorId: Joi.number().integer().optional(),
+    action: Joi.string().max(100).optional(),
+    targetType: Joi.string().max(100).optional(),
+    targetId: Joi.string().max(100).optional(),
+    requestId: Joi.string().max(64).optional(),
+    ...dateRange,
+    ...pageKeys(AUDIT_LOG_SORT_FIELDS),
+  });
+
+const createdAtRange = ({ from, to }) =>
+  from || to
+    ? { createdAt: { ...(from && { gte: from }), ...(to && { lte: to }) } }
+    : {};
+
+export const transactionWhere = (filters) => ({
+  ...(filters.type && { type: filters.type }),
+  ...(filters.status && { status: filters.status }),
+  ...(filters.transactionHash && { transactionHash: filters.transactionHash }),
+  ...(filters.userId && { userId: filters.userId }),
+  ...(filters.wallet && { user: { walletAddress: filters.wallet } }),
+  ...createdAtRange(filters),
+});
+
+export const referralWhere = (filters) => {
+  const referrerId = filters.referrerId || filters.id;
+
+  return {
+    ...(referrerId && { referrerId }),
+    ...(filters.referredId && { referredId: filters.referredId }),
+    ...createdAtRange(filters),
+  };
+};
+
+export const payoutWhere = (filters) => ({
+  ...(filters.status && { status: filters.status }),
+  ...(filters.kind && { kind: filters.kind }),
+  ...(filters.recipient && { recipient: filters.recipient }),
+  ...createdAtRange(filters),
+});
+
+// `action` ending in ".*" matches every action with that prefix
+export const auditLogWhere = (filters) => ({
+  ...(filters.actorId && { actorId: filters.actorId }),
+  ...(filters.action &&
+    (filters.action.endsWith(".*")
+      ? { action: { startsWith: filters.action.slice(0, -1) } }
+      : { action: filters.action })),
+  ...(filters.targetType && { targetType: filters.targetType }),
+  ...(filters.targetId && { targetId: filters.targetId }),
+  ...(filters.requestId && { requestId: filters.requestId }),
+  ...createdAtRange(filters),
+});
+
+export const approvedUserWhere = (filters) => ({
+  kycStatus: "approved",
+  ...(filters.country && { country: filters.country }),
+  ...((filters.from || filters.to) && {
+    kycReviews: {
+      some: { toStatus: "approved", ...createdAtRange(filters) },
+    },
+  }),
+});
+
+// One page of `model` rows plus the total matching `where`. Rows are ordered
+// by the sort field with id as the tie-breaker; `cursor` is the id of the last
+// row of the previous page.
+export const paginate = async (
+  model,
+  { where, include, select, sortBy, order, limit, cursor }
+) => {
+  const [rows, total] = await prisma.$transaction([
+    prisma[model].findMany({
+      where,
+      include,
+      select,
+      orderBy:
+        sortBy === "id" ? [{ id: order }] : [{ [sortBy]: order }, { id: order }],
+      take: limit + 1,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+    }),
+    prisma[model].count({ where }),
+  ]);
+
+  const hasMore = rows.length > limit;
+  const items = hasMore ? rows.slice(0, limit) : rows;
+
+  return {
+    items,
+    total,
+    pageInfo: {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? items[items.length - 1].id : null,
+    },
+  };
+};
@@ -0,0 +1,183 @@
+import crypto from "crypto";
+import prisma from "../DB/config.js";
+import { ApiResponse } from "./ApiResponse.js";
+import { generateOTP, getExpirationTime } from "./helpers.js";
+
+const secret = process.env.OTP_HASH_SECRET || process.env.JWT_SECRET_KEY;
+const maxAttempts = parseInt(process.env.OTP_MAX_ATTEMPTS || "5");
+const lockSeconds = parseInt(process.env.OTP_LOCK_SECONDS || "900");
+const resendCooldownSeconds = parseInt(
+  process.env.OTP_RESEND_COOLDOWN_SECONDS || "60"
+);
+
+export const OTP_PURPOSES = {
+  SIGNUP: "signup",
+  PASSWORD_RESET: "password_reset",
+  EMAIL_CHANGE: "email_change",
+  SENSITIVE_ACTION: "sensitive_action",
+};
+
+// Codes are only six digits, so they are keyed with a server secret rather
+// than plainly hashed
+const hashCode = (userId, purpose, code) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(`${userId}:${purpose}:${code}`)
+    .digest("hex");
+
+const secondsUntil = (date) =>
+  Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+// Create (or replace) the user's code for a purpose. Returns { code } to be
+// emailed, or { error, retryAfter } when locked or still in the resend cooldown.
+export const issueOtp = async (userId, purpose) => {
+  const now = new Date();
+  const existing = await prisma.otp.findUnique({
+    where: { userId_purpose: { userId, purpose } },
+  });
+
+  if (existing?.lockedUntil && existing.lockedUntil > now) {
+    return { error: "locked", retryAfter: secondsUntil(existing.lockedUntil) };
+  }
+
+  if (existing) {
+    const cooldownEnds = new Date(
+      existing.lastSentAt.getTime() + resendCooldownSeconds * 1000
+    );
+    if (cooldownEnds > now) {
+      return { error: "cooldown", retryAfter: secondsUntil(cooldownEnds) };
+    }
+  }
+
+  const code = generateOTP();
+  const data = {
+    codeHash: hashCode(userId, purpose, code),
+    expiresAt: getExpirationTime(),
+    lockedUntil: null,
+    lastSentAt: now,
+  };
+
+  // Failed attempts carry over to the new code so resending cannot be used
+  // to get around the lockout
+  await prisma.otp.upsert({
+    where: { userId_purpose: { userId, purpose } },
+    update: data,
+    create: { ...data, userId, purpose },
+  });
+
+  return { code };
+};
+
+// Lock the code once its attempts are used up. Only the request that sees
+// the limit reached sets the lock; the others report the lock already set.
+const lockOtp = async (id) => {
+  const lockedUntil = new Date(Date.now() + lockSeconds * 1000);
+  const locked = await prisma.otp.updateMany({
+    where: { id, attempts: { gte: maxAttempts } },
+    data: { attempts: 0, lockedUntil },
+  });
+
+  if (locked.count === 1) return { error: "locked", retryAfter: lockSeconds };
+
+  const otp = await prisma.otp.findUnique({ where: { id } });
+  if (!otp) return { error: "expired" };
+  return {
+    error: "locked",
+    retryAfter: otp.lockedUntil ? secondsUntil(otp.lockedUntil) : lockSeconds,
+  };
+};
+
+// Check a code and consume it on success. Returns { ok: true } or
+// { error: "invalid" | "expired" | "locked", ... }.
+export const verifyOtp = async (userId, purpose, code) => {
+  const now = new Date();
+  const otp = await prisma.otp.findUnique({
+    where: { userId_purpose: { userId, purpose } },
+  });
+
+  if (!otp) return { error: "expired" };
+
+  if (otp.lockedUntil && otp.lockedUntil > now) {
+    return { error: "locked", retryAfter: secondsUntil(otp.lockedUntil) };
+  }
+
+  if (otp.expiresAt < now) return { error: "expired" };
+
+  // Take an attempt before comparing, so concurrent guesses cannot get more
+  // than maxAttempts tries between two reads of the counter
+  const claimed = await prisma.otp.updateMany({
+    where: {
+      id: otp.id,
+      attempts: { lt: maxAttempts },
+      OR: [{ lockedUntil: null }, { lockedUntil: { lte: now } }],
+    },
+    data: { attempts: { increment: 1 } },
+  });
+
+  if (claimed.count === 0) return lockOtp(otp.id);
+
+  const expected = Buffer.from(otp.codeHash, "hex");
+  const received = Buffer.from(hashCode(userId, purpose, code), "hex");
+
+  if (!crypto.timingSafeEqual(expected, received)) {
+    const current = await prisma.otp.findUnique({ where: { id: otp.id } });
+
+    if (!current) return { error: "expired" };
+    if (current.attempts >= maxAttempts) return lockOtp(otp.id);
+
+    return { error: "invalid", attemptsLeft: maxAttempts - current.attempts };
+  }
+
+  // deleteMany so two concurrent correct submissions cannot both succeed
+  const consumed = await prisma.otp.deleteMany({
+    where: { id: otp.id, codeHash: otp.codeHash },
+  });
+
+  return consumed.count === 1 ? { ok: true } : { error: "expired" };
+};
+
+// Standard response for a failed issueOtp / verifyOtp result
+export const sendOtpError = (res, result) => {
+  switch (result.error) {
+    case "locked":
+      return res
+        .status(429)
+        .json(
+          new ApiResponse(
+            429,
+            { retryAfter: result.retryAfter },
+            `Too many attempts. Please try again in ${result.retryAfter} seconds.`
+          )
+        );
+    case "cooldown":
+      return res
+        .status(429)
+        .json(
+          new ApiResponse(
+            429,
+            { retryAfter: result.retryAfter },
+            `Please wait ${result.retryAfter} seconds before requesting a new OTP.`
+          )
+        );
+    case "invalid":
+      return res
+        .status(400)
+        .json(
+          new ApiResponse(
+            400,
+            { attemptsLeft: result.attemptsLeft },
+            `Invalid OTP. Please try again.`
+          )
+        );
+    default:
+      return res
+        .status(400)
+        .json(
+          new ApiResponse(
+            400,
+            {},
+            `OTP is expired or invalid. Please request a new one.`
+          )
+        );
+  }
+};
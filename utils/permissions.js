@@ -0,0 +1,70 @@
+import { ROLE } from "@prisma/client";
+
+// Routes open to anyone, no token required
+export const PUBLIC = null;
+
+const EVERYONE = [ROLE.USER, ROLE.ADMIN, ROLE.SUPERADMIN];
+const STAFF = [ROLE.ADMIN, ROLE.SUPERADMIN];
+const SUPERADMIN_ONLY = [ROLE.SUPERADMIN];
+
+// Every route declares one of these permissions. The value is the list of
+// roles allowed to use it.
+export const PERMISSIONS = {
+  "auth:signup": PUBLIC,
+  "auth:login": PUBLIC,
+  "auth:refresh": PUBLIC,
+  "auth:otp": PUBLIC,
+  "auth:password-reset": PUBLIC,
+  // guarded by SUPERADMIN_BOOTSTRAP_TOKEN instead of a login
+  "superadmin:bootstrap": PUBLIC,
+  // guarded by the HMAC signature in the link
+  "document:download": PUBLIC,
+  // only masked names
+  "leaderboard:public": PUBLIC,
+  "sale:read": PUBLIC,
+
+  "profile:read": EVERYONE,
+  "session:manage": EVERYONE,
+  "password:change": EVERYONE,
+  "two-factor:manage": EVERYONE,
+  "kyc:submit": EVERYONE,
+  "wallet:bind": EVERYONE,
+  "referral:read": EVERYONE,
+  "referral-reward:claim": EVERYONE,
+  "transaction:create": EVERYONE,
+  "transaction:read:own": EVERYONE,
+  "staking-reward:read:own": EVERYONE,
+  "portfolio:read": EVERYONE,
+
+  "ambassador:create": STAFF,
+  "core-team:create": STAFF,
+  "transaction:read:all": STAFF,
+  "referral:read:all": STAFF,
+  "referral-leaderboard:snapshot": STAFF,
+  "contract:read": STAFF,
+  "referral-reward:rules:read": STAFF,
+  "referral-reward:rules:write": STAFF,
+  "referral-reward:preview": STAFF,
+  "payout:read": STAFF,
+  "payout:retry": STAFF,
+  "staking-program:read": STAFF,
+  "staking-program:write": STAFF,
+  "staking-reward:distribute": STAFF,
+  "kyc:review": STAFF,
+  "wallet-change:review": STAFF,
+  "export:read": STAFF,
+  "contract-operation:read": STAFF,
+  "contract-operation:propose": STAFF,
+  "contract-operation:approve": STAFF,
+  "audit:read": STAFF,
+  "rpc:read": STAFF,
+
+  "admin:manage": SUPERADMIN_ONLY,
+  "admin:actions:read": SUPERADMIN_ONLY,
+};
+
+// For handlers that behave differently by role (route access itself is
+// checked by the authorize middleware)
+export const hasPermission = (user, permission) =>
+  PERMISSIONS[permission] === PUBLIC ||
+  Boolean(user && PERMISSIONS[permission]?.includes(user.roll));
@@ -0,0 +1,170 @@
+import { Prisma } from "@prisma/client";
+import prisma from "../DB/config.js";
+import { getUpline } from "./referralTree.js";
+import { phaseOfPurchase } from "../Web3/Sale/salePhase.js";
+
+const BASIS_POINTS = 10000n;
+
+// Fallback split used when no ReferralRewardRule rows exist for a sale phase.
+// Level 1 is the direct referrer; each round pays less than the previous one
+// (25% / 15% / 10% / 3% to the direct referrer).
+export const DEFAULT_LEVEL_BASIS_POINTS = {
+  0: [2500, 500, 200],
+  1: [1500, 300, 100],
+  2: [1000, 200, 100],
+  3: [300, 100, 50],
+};
+
+export const MAX_REFERRAL_LEVELS = parseInt(
+  process.env.REFERRAL_MAX_LEVELS || "3"
+);
+export const CORE_TEAM_BASIS_POINTS = parseInt(
+  process.env.REFERRAL_CORE_TEAM_BPS || "250"
+);
+
+export const getLevelBasisPoints = async (salePhase) => {
+  const rules = await prisma.referralRewardRule.findMany({
+    where: { salePhase, level: { lte: MAX_REFERRAL_LEVELS } },
+    orderBy: { level: "asc" },
+  });
+
+  if (rules.length <= 0) return DEFAULT_LEVEL_BASIS_POINTS[salePhase] || [];
+
+  const levels = [];
+  for (const rule of rules) levels[rule.level - 1] = rule.basisPoints;
+  return Array.from(levels, (bps) => bps || 0);
+};
+
+// The referrers above the buyer in order (direct referrer first) up to the
+// root of the tree
+const getUplineChain = (userId) =>
+  getUpline(userId, {
+    firstName: true,
+    lastName: true,
+    walletAddress: true,
+    coreTeamMember: true,
+  });
+
+// Work out who gets what for one purchase without writing anything.
+// `tokenAmount` is the purchased amount in token base units.
+// Rewards use the rules of the phase the tokens were bought in, not the
+// phase the sale is in when the reward is claimed. Buys recorded before the
+// phase was stored get it filled in on first use.
+export const getPurchasePhase = async (purchase) => {
+  if (purchase.salePhase !== null && purchase.salePhase !== undefined)
+    return purchase.salePhase;
+
+  const salePhase = await phaseOfPurchase({
+    usdtAmount: purchase.value,
+    tokenAmount: purchase.amount,
+  });
+
+  await prisma.transaction.update({
+    where: { id: purchase.id },
+    data: { salePhase },
+  });
+
+  return salePhase;
+};
+
+export const calculateReferralSplit = async ({
+  buyerId,
+  tokenAmount,
+  salePhase,
+}) => {
+  const amount = BigInt(tokenAmount);
+  const levelBasisPoints = await getLevelBasisPoints(salePhase);
+  const chain = await getUplineChain(buyerId);
+
+  const shares = [];
+
+  chain.slice(0, levelBasisPoints.length).forEach((referrer, index) => {
+    const basisPoints = levelBasisPoints[index];
+    if (!basisPoints) return;
+
+    shares.push({
+      beneficiary: referrer,
+      kind: "level",
+      level: index + 1,
+      basisPoints,
+      amount: ((amount * BigInt(basisPoints)) / BASIS_POINTS).toString(),
+    });
+  });
+
+  // The root of the tree earns an extra override when it is a core team member
+  const root = chain[chain.length - 1];
+  if (root?.coreTeamMember && CORE_TEAM_BASIS_POINTS > 0) {
+    shares.push({
+      beneficiary: root,
+      kind: "core_team",
+      level: chain.length,
+      basisPoints: CORE_TEAM_BASIS_POINTS,
+      amount: (
+        (amount * BigInt(CORE_TEAM_BASIS_POINTS)) /
+        BASIS_POINTS
+      ).toString(),
+    });
+  }
+
+  return {
+    buyerId,
+    salePhase,
+    tokenAmount: amount.toString(),
+    shares: shares.map(({ beneficiary, ...share }) => ({
+      ...share,
+      beneficiary: {
+        id: beneficiary.id,
+        firstName: beneficiary.firstName,
+        lastName: beneficiary.lastName,
+        walletAddress: beneficiary.walletAddress,
+      },
+    })),
+  };
+};
+
+// Calculate the split for a recorded purchase and write one ledger row per
+// beneficiary. Calling it twice for the same purchase, even concurrently,
+// returns the existing rows.
+export const recordReferralRewards = async (transaction, salePhase) => {
+  const findExisting = () =>
+    prisma.referralReward.findMany({
+      where: { transactionId: transaction.id },
+    });
+
+  const existing = await findExisting();
+
+  if (existing.length > 0) return existing;
+
+  const split = await calculateReferralSplit({
+    buyerId: transaction.userId,
+    tokenAmount: transaction.amount,
+    salePhase,
+  });
+
+  try {
+    return await prisma.$transaction(
+      split.shares.map((share) =>
+        prisma.referralReward.create({
+          data: {
+            transactionId: transaction.id,
+            beneficiaryId: share.beneficiary.id,
+            sourceUserId: transaction.userId,
+            kind: share.kind,
+            level: share.level,
+            salePhase,
+            basisPoints: share.basisPoints,
+            amount: share.amount,
+          },
+        })
+      )
+    );
+  } catch (error) {
+    // A concurrent request recorded them first
+    if (
+      error instanceof Prisma.PrismaClientKnownRequestError &&
+      error.code === "P2002"
+    )
+      return findExisting();
+    throw error;
+  }
+};
@@ -0,0 +1,169 @@
+import { Prisma } from "@prisma/client";
+import prisma from "../DB/config.js";
+
+// Referral tree queries done in the database with recursive CTEs (MySQL 8),
+// so a whole downline or upline costs a single round trip however big it is.
+
+export const MAX_TREE_DEPTH = parseInt(
+  process.env.REFERRAL_TREE_MAX_DEPTH || "10"
+);
+const maxTreeNodes = parseInt(process.env.REFERRAL_TREE_MAX_NODES || "5000");
+// MySQL's default cte_max_recursion_depth
+const MAX_UPLINE_DEPTH = 1000;
+
+// Everyone below `userId` down to `depth` levels. `path` holds the ids
+// already on the branch so a referral cycle cannot recurse forever.
+const downlineCte = (userId, depth) => Prisma.sql`
+  WITH RECURSIVE downline (userId, parentId, depth, path) AS (
+    SELECT referredId, referrerId, 1,
+      CAST(CONCAT(',', referrerId, ',', referredId, ',') AS CHAR(8000))
+    FROM \`Referral\`
+    WHERE referrerId = ${userId}
+    UNION ALL
+    SELECT r.referredId, r.referrerId, d.depth + 1,
+      CONCAT(d.path, r.referredId, ',')
+    FROM \`Referral\` r
+    JOIN downline d ON r.referrerId = d.userId
+    WHERE d.depth < ${depth}
+      AND LOCATE(CONCAT(',', r.referredId, ','), d.path) = 0
+  ),
+  volume AS (
+    SELECT userId, SUM(CAST(amount AS DECIMAL(65, 0))) AS purchaseVolume
+    FROM \`Transaction\`
+    WHERE type = 'buy' AND status = 'confirmed'
+      AND userId IN (SELECT userId FROM downline)
+    GROUP BY userId
+  ),
+  earned AS (
+    SELECT sourceUserId, SUM(CAST(amount AS DECIMAL(65, 0))) AS rewardEarned
+    FROM \`ReferralReward\`
+    WHERE beneficiaryId = ${userId} AND status <> 'failed'
+    GROUP BY sourceUserId
+  )
+`;
+
+// Sums come back from MySQL as decimals; keep them as integer strings like
+// every other base-unit amount (toFixed avoids exponent notation)
+const toAmount = (value) => {
+  if (value === null || value === undefined) return "0";
+  return typeof value.toFixed === "function" ? value.toFixed(0) : String(value);
+};
+
+// Per-level member count, purchase volume of the members, and reward the
+// root earned from their purchases
+const getLevelAggregates = async (userId, depth) => {
+  const rows = await prisma.$queryRaw`
+    ${downlineCte(userId, depth)}
+    SELECT d.depth AS level,
+      COUNT(*) AS members,
+      SUM(COALESCE(v.purchaseVolume, 0)) AS purchaseVolume,
+      SUM(COALESCE(e.rewardEarned, 0)) AS rewardEarned
+    FROM downline d
+    LEFT JOIN volume v ON v.userId = d.userId
+    LEFT JOIN earned e ON e.sourceUserId = d.userId
+    GROUP BY d.depth
+    ORDER BY d.depth
+  `;
+
+  return rows.map((row) => ({
+    level: Number(row.level),
+    members: Number(row.members),
+    purchaseVolume: toAmount(row.purchaseVolume),
+    rewardEarned: toAmount(row.rewardEarned),
+  }));
+};
+
+// `userId`'s downline as a nested tree plus per-level totals. The totals
+// always cover the whole requested depth; the node list stops at
+// REFERRAL_TREE_MAX_NODES and says so with `truncated`.
+export const getDownlineTree = async (
+  userId,
+  depth,
+  { includeEmail = false, includeKycStatus = false } = {}
+) => {
+  const [levels, rows] = await Promise.all([
+    getLevelAggregates(userId, depth),
+    prisma.$queryRaw`
+      ${downlineCte(userId, depth)}
+      SELECT d.userId, d.parentId, d.depth,
+        u.firstName, u.lastName, u.email, u.referralCode, u.kycStatus,
+        COALESCE(v.purchaseVolume, 0) AS purchaseVolume,
+        COALESCE(e.rewardEarned, 0) AS rewardEarned
+      FROM downline d
+      JOIN \`User\` u ON u.id = d.userId
+      LEFT JOIN volume v ON v.userId = d.userId
+      LEFT JOIN earned e ON e.sourceUserId = d.userId
+      ORDER BY d.depth, d.userId
+      LIMIT ${maxTreeNodes + 1}
+    `,
+  ]);
+
+  const truncated = rows.length > maxTreeNodes;
+  const nodes = new Map();
+  const children = [];
+
+  for (const row of rows.slice(0, maxTreeNodes)) {
+    const node = {
+      id: row.userId,
+      firstName: row.firstName,
+      lastName: row.lastName,
+      ...(includeEmail && { email: row.email }),
+      referralCode: row.referralCode,
+      ...(includeKycStatus && { kycStatus: row.kycStatus }),
+      level: Number(row.depth),
+      purchaseVolume: toAmount(row.purchaseVolume),
+      rewardEarned: toAmount(row.rewardEarned),
+      children: [],
+    };
+    nodes.set(node.id, node);
+
+    // Rows are ordered by depth, so a parent is always added before its children
+    const parent = nodes.get(row.parentId);
+    (parent ? parent.children : children).push(node);
+  }
+
+  return {
+    userId,
+    depth,
+    totalMembers: levels.reduce((sum, level) => sum + level.members, 0),
+    levels,
+    truncated,
+    children,
+  };
+};
+
+// Ids of the referrers above `userId`, direct referrer first (level 1)
+export const getUplineIds = async (userId, depth = MAX_UPLINE_DEPTH) => {
+  const rows = await prisma.$queryRaw`
+    WITH RECURSIVE upline (userId, depth, path) AS (
+      SELECT referrerId, 1,
+        CAST(CONCAT(',', referredId, ',', referrerId, ',') AS CHAR(8000))
+      FROM \`Referral\`
+      WHERE referredId = ${userId}
+      UNION ALL
+      SELECT r.referrerId, u.depth + 1, CONCAT(u.path, r.referrerId, ',')
+      FROM \`Referral\` r
+      JOIN upline u ON r.referredId = u.userId
+      WHERE u.depth < ${depth}
+        AND LOCATE(CONCAT(',', r.referrerId, ','), u.path) = 0
+    )
+    SELECT userId, depth FROM upline ORDER BY depth
+  `;
+
+  return rows.map((row) => row.userId);
+};
+
+// The referrer rows above `userId` in order, loaded with one query. `select`
+// picks the user fields.
+export const getUpline = async (userId, select, depth) => {
+  const ids = await getUplineIds(userId, depth);
+  if (ids.length <= 0) return [];
+
+  const users = await prisma.user.findMany({
+    where: { id: { in: ids } },
+    select: { ...select, id: true },
+  });
+  const byId = new Map(users.map((user) => [user.id, user]));
+
+  return ids.map((id, index) => ({ ...byId.get(id), level: index + 1 }));
+};
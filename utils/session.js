@@ -0,0 +1,119 @@
+import crypto from "crypto";
+import Jwt from "jsonwebtoken";
+import { Prisma } from "@prisma/client";
+import prisma from "../DB/config.js";
+
+const secretKey = process.env.JWT_SECRET_KEY;
+const accessTokenTtl = process.env.ACCESS_TOKEN_TTL || "15m";
+const refreshTokenTtlDays = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || "30");
+
+export const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const newRefreshToken = () => crypto.randomBytes(48).toString("base64url");
+
+const refreshExpiry = () =>
+  new Date(Date.now() + refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+
+export const signAccessToken = (user, sessionId) =>
+  Jwt.sign({ userId: user.id, email: user.email, sessionId }, secretKey, {
+    expiresIn: accessTokenTtl,
+  });
+
+// Start a session for a freshly authenticated user
+export const createSession = async (user, req) => {
+  const refreshToken = newRefreshToken();
+
+  const session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      refreshTokenHash: hashToken(refreshToken),
+      userAgent: req.get("user-agent") || null,
+      ip: req.ip || null,
+      expiresAt: refreshExpiry(),
+    },
+  });
+
+  return {
+    token: signAccessToken(user, session.id),
+    refreshToken,
+  };
+};
+
+// Swap a refresh token for a new pair. Returns null when the token is
+// unknown, expired, revoked or was just rotated by a concurrent request.
+// Presenting an already rotated token means it was copied, so the whole
+// session is revoked.
+export const rotateSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+
+  const reused = await prisma.session.findUnique({
+    where: { previousTokenHash: tokenHash },
+  });
+
+  if (reused) {
+    await revokeSession(reused.id);
+    return null;
+  }
+
+  const session = await prisma.session.findUnique({
+    where: { refreshTokenHash: tokenHash },
+    include: { user: true },
+  });
+
+  if (!session || session.revokedAt || session.expiresAt < new Date()) {
+    return null;
+  }
+
+  const nextToken = newRefreshToken();
+
+  try {
+    await prisma.session.update({
+      where: { id: session.id, refreshTokenHash: tokenHash },
+      data: {
+        refreshTokenHash: hashToken(nextToken),
+        previousTokenHash: tokenHash,
+        lastUsedAt: new Date(),
+        ip: req.ip || session.ip,
+        expiresAt: refreshExpiry(),
+      },
+    });
+  } catch (error) {
+    // A concurrent refresh with the same token rotated it first
+    if (
+      error instanceof Prisma.PrismaClientKnownRequestError &&
+      error.code === "P2025"
+    )
+      return null;
+    throw error;
+  }
+
+  return {
+    user: session.user,
+    token: signAccessToken(session.user, session.id),
+    refreshToken: nextToken,
+  };
+};
+
+export const revokeSession = (sessionId) =>
+  prisma.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+
+// Log a user out everywhere, e.g. after a password change. Moving
+// tokensValidAfter also ends access tokens that have no session.
+export const revokeAllSessions = (userId) => {
+  const now = new Date();
+
+  return prisma.$transaction([
+    prisma.session.updateMany({
+      where: { userId, revokedAt: null },
+      data: { revokedAt: now },
+    }),
+    prisma.user.update({
+      where: { id: userId },
+      data: { tokensValidAfter: now },
+    }),
+  ]);
+};
@@ -0,0 +1,29 @@
+import crypto from "crypto";
+
+const secret = process.env.DOCUMENT_URL_SECRET;
+const baseUrl = process.env.BASE_URL;
+const defaultTtl = parseInt(process.env.DOCUMENT_URL_TTL_SECONDS || "300");
+
+const sign = (key, expires) =>
+  crypto.createHmac("sha256", secret).update(`${key}:${expires}`).digest("hex");
+
+// Short-lived download link for a stored document
+export const signDocumentUrl = (key, ttlSeconds = defaultTtl) => {
+  if (!key) return null;
+  if (!secret) throw new Error(`DOCUMENT_URL_SECRET is not set`);
+
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  return `${baseUrl}/documents/${encodeURIComponent(key)}?expires=${expires}&signature=${sign(key, expires)}`;
+};
+
+export const verifyDocumentSignature = (key, expires, signature) => {
+  if (!secret || !expires || !signature) return false;
+  if (Number(expires) < Math.floor(Date.now() / 1000)) return false;
+
+  const expected = Buffer.from(sign(key, expires), "hex");
+  const received = Buffer.from(String(signature), "hex");
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+};
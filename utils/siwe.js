@@ -0,0 +1,256 @@
+import crypto from "crypto";
+import { ethers } from "ethers";
+import prisma from "../DB/config.js";
+import { ApiResponse } from "./ApiResponse.js";
+
+// EIP-4361 (Sign-In with Ethereum) messages used to prove a user controls a
+// wallet. Every message carries a single-use nonce from the WalletChallenge
+// table, so a signature can only be used for the purpose it was issued for.
+
+const baseUrl = process.env.BASE_URL || "http://localhost:3000";
+export const SIWE_DOMAIN = process.env.SIWE_DOMAIN || new URL(baseUrl).host;
+export const SIWE_URI = process.env.SIWE_URI || baseUrl;
+// The chain the sale contract is on: CHAIN_ID, or BNB Smart Chain mainnet
+export const SIWE_CHAIN_ID = parseInt(
+  process.env.SIWE_CHAIN_ID || process.env.CHAIN_ID || "56"
+);
+const nonceTtlSeconds = parseInt(process.env.SIWE_NONCE_TTL_SECONDS || "300");
+const nonceRateLimit = parseInt(process.env.SIWE_NONCE_RATE_LIMIT || "10");
+const nonceRateWindowSeconds = parseInt(
+  process.env.SIWE_NONCE_RATE_WINDOW_SECONDS || "60"
+);
+
+export const WALLET_CHALLENGE_PURPOSES = {
+  BIND: "wallet_bind",
+  CHANGE_OLD: "wallet_change_old",
+  CHANGE_NEW: "wallet_change_new",
+  LOGIN: "login",
+};
+
+export const buildSiweMessage = ({
+  address,
+  statement,
+  nonce,
+  issuedAt,
+  expirationTime,
+}) =>
+  [
+    `${SIWE_DOMAIN} wants you to sign in with your Ethereum account:`,
+    address,
+    "",
+    statement,
+    "",
+    `URI: ${SIWE_URI}`,
+    `Version: 1`,
+    `Chain ID: ${SIWE_CHAIN_ID}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`,
+    `Expiration Time: ${expirationTime}`,
+  ].join("\n");
+
+const FIELD_NAMES = {
+  URI: "uri",
+  Version: "version",
+  "Chain ID": "chainId",
+  Nonce: "nonce",
+  "Issued At": "issuedAt",
+  "Expiration Time": "expirationTime",
+  "Not Before": "notBefore",
+  "Request ID": "requestId",
+};
+
+// Parse a message in the EIP-4361 format. Returns null when it is malformed.
+export const parseSiweMessage = (message) => {
+  const lines = message.split("\n");
+  const header = lines[0]?.match(
+    /^(\S+) wants you to sign in with your Ethereum account:$/
+  );
+
+  if (!header || !ethers.isAddress(lines[1] || "")) return null;
+
+  const fields = { domain: header[1], address: lines[1] };
+
+  let index = 2;
+  if (lines[index] !== "") return null;
+  index += 1;
+
+  // Optional statement, followed by a blank line
+  if (lines[index] !== undefined && !lines[index].startsWith("URI: ")) {
+    if (lines[index + 1] !== "") return null;
+    fields.statement = lines[index];
+    index += 2;
+  }
+
+  for (const line of lines.slice(index)) {
+    if (line.startsWith("Resources:") || line.startsWith("- ")) continue;
+
+    const separator = line.indexOf(": ");
+    const name = FIELD_NAMES[line.slice(0, separator)];
+    if (separator < 0 || !name) return null;
+    fields[name] = line.slice(separator + 2);
+  }
+
+  if (!fields.uri || fields.version !== "1" || !fields.chainId || !fields.nonce)
+    return null;
+
+  fields.chainId = parseInt(fields.chainId);
+  return fields;
+};
+
+// Create a nonce for `address` and the message the wallet has to sign.
+// `userId` and `walletChangeId` tie the challenge to who may use it.
+export const issueWalletChallenge = async ({
+  address,
+  purpose,
+  statement,
+  userId = null,
+  walletChangeId = null,
+  ip = null,
+}) => {
+  const nonce = crypto.randomBytes(16).toString("hex");
+  const issuedAt = new Date();
+  const expiresAt = new Date(issuedAt.getTime() + nonceTtlSeconds * 1000);
+  const checksummed = ethers.getAddress(address);
+
+  await prisma.walletChallenge.create({
+    data: {
+      nonce,
+      purpose,
+      address: checksummed,
+      userId,
+      walletChangeId,
+      ip,
+      expiresAt,
+    },
+  });
+
+  return {
+    nonce,
+    expiresAt,
+    message: buildSiweMessage({
+      address: checksummed,
+      statement,
+      nonce,
+      issuedAt: issuedAt.toISOString(),
+      expirationTime: expiresAt.toISOString(),
+    }),
+  };
+};
+
+// Challenges issued without a login may be requested by anyone, so each IP
+// and each address only gets SIWE_NONCE_RATE_LIMIT of them per window.
+// Returns null or { retryAfter } in seconds.
+export const checkChallengeRate = async ({ purpose, address, ip }) => {
+  const since = new Date(Date.now() - nonceRateWindowSeconds * 1000);
+  const recent = (where) =>
+    prisma.walletChallenge.findMany({
+      where: { ...where, purpose, createdAt: { gt: since } },
+      orderBy: { createdAt: "desc" },
+      skip: nonceRateLimit - 1,
+      take: 1,
+      select: { createdAt: true },
+    });
+
+  const [byIp, byAddress] = await Promise.all([
+    ip ? recent({ ip }) : [],
+    recent({ address: ethers.getAddress(address) }),
+  ]);
+
+  const oldest = [...byIp, ...byAddress]
+    .map((challenge) => challenge.createdAt)
+    .sort((a, b) => b - a)[0];
+
+  if (!oldest) return null;
+
+  return {
+    retryAfter: Math.max(
+      1,
+      Math.ceil(
+        (oldest.getTime() + nonceRateWindowSeconds * 1000 - Date.now()) / 1000
+      )
+    ),
+  };
+};
+
+// Delete challenges that can no longer be used. Used ones go too, since the
+// nonce only matters until it expires.
+export const pruneWalletChallenges = () =>
+  prisma.walletChallenge.deleteMany({
+    where: { expiresAt: { lt: new Date() } },
+  });
+
+// Check a signed message against the challenge it names and use up the nonce.
+// Returns { address, challenge } or { error }.
+export const verifyWalletSignature = async (
+  { message, signature },
+  { purpose, userId, walletChangeId }
+) => {
+  const fields = parseSiweMessage(message);
+
+  if (!fields) return { error: "invalid_message" };
+  if (fields.domain !== SIWE_DOMAIN || fields.uri !== SIWE_URI)
+    return { error: "wrong_domain" };
+  if (fields.chainId !== SIWE_CHAIN_ID) return { error: "wrong_chain" };
+
+  const now = new Date();
+  if (fields.expirationTime && new Date(fields.expirationTime) <= now)
+    return { error: "expired" };
+  if (fields.notBefore && new Date(fields.notBefore) > now)
+    return { error: "invalid_message" };
+
+  const challenge = await prisma.walletChallenge.findUnique({
+    where: { nonce: fields.nonce },
+  });
+
+  if (
+    !challenge ||
+    challenge.usedAt ||
+    challenge.expiresAt <= now ||
+    challenge.purpose !== purpose ||
+    (userId !== undefined && challenge.userId !== userId) ||
+    (walletChangeId !== undefined && challenge.walletChangeId !== walletChangeId) ||
+    challenge.address.toLowerCase() !== fields.address.toLowerCase()
+  )
+    return { error: "invalid_nonce" };
+
+  let signer;
+  try {
+    signer = ethers.verifyMessage(message, signature);
+  } catch (error) {
+    return { error: "bad_signature" };
+  }
+
+  if (signer.toLowerCase() !== fields.address.toLowerCase())
+    return { error: "bad_signature" };
+
+  // Claim the nonce so the same signature cannot be replayed concurrently
+  const claimed = await prisma.walletChallenge.updateMany({
+    where: { id: challenge.id, usedAt: null },
+    data: { usedAt: now },
+  });
+
+  if (claimed.count !== 1) return { error: "invalid_nonce" };
+
+  return { address: ethers.getAddress(signer), challenge };
+};
+
+const SIGNATURE_ERRORS = {
+  invalid_message: ["SIWE_INVALID_MESSAGE", `Signed message is not valid`],
+  wrong_domain: ["SIWE_WRONG_DOMAIN", `Signed message is for another site`],
+  wrong_chain: ["SIWE_WRONG_CHAIN", `Signed message is for another network`],
+  expired: ["SIWE_EXPIRED", `Signed message has expired, please try again`],
+  invalid_nonce: [
+    "SIWE_INVALID_NONCE",
+    `Signed message has already been used or was not issued for this action`,
+  ],
+  bad_signature: [
+    "SIWE_BAD_SIGNATURE",
+    `Signature does not match the wallet address`,
+  ],
+};
+
+// Standard response for a failed verifyWalletSignature result
+export const sendWalletSignatureError = (res, result) => {
+  const [code, message] = SIGNATURE_ERRORS[result.error];
+  return res.status(401).json(new ApiResponse(401, { code }, message));
+};
@@ -0,0 +1,164 @@
+import { ethers } from "ethers";
+import prisma from "../DB/config.js";
+import { enqueuePayouts } from "../Web3/Payout/payoutQueue.js";
+
+const BASIS_POINTS = 10000n;
+
+// Users a program pays, limited to KYC-approved users with a valid wallet
+const getEligibleUsers = async (program) => {
+  const where = { walletAddress: { not: null }, kycStatus: "approved" };
+
+  if (!program.allUsers) {
+    where.OR = [
+      {
+        id: {
+          in: program.members
+            .filter((member) => member.userId)
+            .map((member) => member.userId),
+        },
+      },
+      {
+        walletAddress: {
+          in: program.members
+            .filter((member) => member.walletAddress)
+            .map((member) => member.walletAddress),
+        },
+      },
+    ];
+  }
+
+  const users = await prisma.user.findMany({
+    where,
+    select: { id: true, walletAddress: true },
+  });
+
+  return users.filter((user) => ethers.isAddress(user.walletAddress));
+};
+
+// Periods of a program that have fully elapsed by `now`
+export const getCompletedPeriods = (program, now = new Date()) => {
+  const end = program.endAt && program.endAt < now ? program.endAt : now;
+  const periodMs = program.periodSeconds * 1000;
+  const count = Math.max(
+    0,
+    Math.floor((end.getTime() - program.startAt.getTime()) / periodMs)
+  );
+
+  return Array.from({ length: count }, (_, periodIndex) => ({
+    periodIndex,
+    periodStart: new Date(program.startAt.getTime() + periodIndex * periodMs),
+    periodEnd: new Date(
+      program.startAt.getTime() + (periodIndex + 1) * periodMs
+    ),
+  }));
+};
+
+// Confirmed buys of the users, oldest first, with the time each was mined.
+// Buys recorded before block times were stored fall back to when we saw them.
+const getPurchases = async (userIds) => {
+  const purchases = await prisma.transaction.findMany({
+    where: { userId: { in: userIds }, type: "buy", status: "confirmed" },
+    select: {
+      userId: true,
+      amount: true,
+      blockTimestamp: true,
+      createdAt: true,
+    },
+  });
+
+  const byUser = new Map(userIds.map((id) => [id, []]));
+  for (const tx of purchases)
+    byUser.get(tx.userId).push({
+      amount: BigInt(tx.amount),
+      minedAt: tx.blockTimestamp ?? tx.createdAt,
+    });
+  for (const list of byUser.values()) list.sort((a, b) => a.minedAt - b.minedAt);
+
+  return byUser;
+};
+
+// Tokens bought by the end of a period, in token base units
+const purchasedBy = (purchases, until) =>
+  purchases
+    .filter((tx) => tx.minedAt <= until)
+    .reduce((total, tx) => total + tx.amount, 0n);
+
+// Record and queue every entitlement of a program that has not been paid yet.
+// Safe to call repeatedly and concurrently: periods already recorded for a
+// user are skipped and each reward gets at most one payout job.
+export const distributeStakingRewards = async (programId, now = new Date()) => {
+  const program = await prisma.stakingProgram.findUnique({
+    where: { id: programId },
+    include: { members: true },
+  });
+
+  if (!program || !program.active) return null;
+
+  const periods = getCompletedPeriods(program, now);
+  const users = await getEligibleUsers(program);
+  const userIds = users.map((user) => user.id);
+
+  const [purchases, recorded] = await Promise.all([
+    getPurchases(userIds),
+    prisma.stakingReward.findMany({
+      where: { programId, userId: { in: userIds } },
+      select: { userId: true, periodIndex: true },
+    }),
+  ]);
+  const recordedPeriods = new Set(
+    recorded.map((r) => `${r.userId}:${r.periodIndex}`)
+  );
+
+  const rewards = [];
+  for (const user of users) {
+    for (const period of periods) {
+      if (recordedPeriods.has(`${user.id}:${period.periodIndex}`)) continue;
+
+      const baseAmount = purchasedBy(purchases.get(user.id), period.periodEnd);
+      const amount =
+        (baseAmount * BigInt(program.rateBasisPoints)) / BASIS_POINTS;
+
+      if (amount === 0n) continue;
+
+      rewards.push({
+        programId,
+        userId: user.id,
+        ...period,
+        baseAmount: baseAmount.toString(),
+        amount: amount.toString(),
+        lockTime: program.lockTime,
+      });
+    }
+  }
+
+  // A concurrent run may have recorded some of these; those rows are skipped
+  if (rewards.length)
+    await prisma.stakingReward.createMany({
+      data: rewards,
+      skipDuplicates: true,
+    });
+
+  // Queue every reward of the program still without a job, including ones
+  // left behind by an earlier run that stopped between the two steps
+  const unqueued = await prisma.stakingReward.findMany({
+    where: { programId, status: "queued", payoutJob: null },
+    include: { user: { select: { walletAddress: true } } },
+  });
+  const payable = unqueued.filter((reward) =>
+    ethers.isAddress(reward.user.walletAddress)
+  );
+
+  if (payable.length)
+    await enqueuePayouts(
+      payable.map((reward) => ({
+        kind: "staking_reward",
+        method: "TransferRewards",
+        recipient: reward.user.walletAddress,
+        amount: reward.amount,
+        lockTime: reward.lockTime,
+        stakingRewardId: reward.id,
+      }))
+    );
+
+  return payable.map(({ user, ...reward }) => reward);
+};
@@ -0,0 +1,72 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+// Document storage. Every driver exposes the same async interface, keyed by
+// an opaque file name, so an S3-compatible driver can replace local disk
+// without touching the controllers:
+//   save(key, buffer) / read(key) -> Readable / exists(key) / remove(key)
+
+const createLocalStorage = (root) => {
+  const resolve = (key) => {
+    const filePath = path.resolve(root, key);
+    if (path.dirname(filePath) !== path.resolve(root)) {
+      throw new Error(`invalid storage key ${key}`);
+    }
+    return filePath;
+  };
+
+  fs.mkdirSync(root, { recursive: true });
+
+  return {
+    save: async (key, buffer) => {
+      await fs.promises.writeFile(resolve(key), buffer, { flag: "wx" });
+      return key;
+    },
+    read: async (key) => fs.createReadStream(resolve(key)),
+    exists: async (key) => {
+      try {
+        await fs.promises.access(resolve(key));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+    remove: async (key) => fs.promises.rm(resolve(key), { force: true }),
+  };
+};
+
+const drivers = {
+  local: () =>
+    createLocalStorage(process.env.DOCUMENT_STORAGE_PATH || "./storage/documents"),
+};
+
+const driver = process.env.DOCUMENT_STORAGE_DRIVER || "local";
+
+if (!drivers[driver]) {
+  throw new Error(`unknown document storage driver ${driver}`);
+}
+
+export const documentStorage = drivers[driver]();
+
+// Store uploaded documents under unguessable keys and return the keys in the
+// same order as the files. Nothing is left behind if one of them fails.
+export const storeDocuments = async (files) => {
+  const keys = [];
+
+  try {
+    for (const file of files) {
+      const key = crypto.randomBytes(16).toString("hex") + file.extension;
+      keys.push(await documentStorage.save(key, file.buffer));
+    }
+  } catch (error) {
+    await removeDocuments(keys);
+    throw error;
+  }
+
+  return keys;
+};
+
+// Remove stored documents that ended up not being referenced
+export const removeDocuments = (keys) =>
+  Promise.all(keys.map((key) => documentStorage.remove(key)));
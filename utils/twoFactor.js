@@ -0,0 +1,364 @@
+import crypto from "crypto";
+import prisma from "../DB/config.js";
+import { ApiResponse } from "./ApiResponse.js";
+import { hashToken } from "./session.js";
+import { writeAuditLog } from "./audit.js";
+import { buildOtpauthUri, generateTotpSecret, verifyTotp } from "./totp.js";
+
+const issuer = process.env.TWO_FACTOR_ISSUER || "ChainSphere";
+const maxAttempts = parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS || "5");
+const lockSeconds = parseInt(process.env.TWO_FACTOR_LOCK_SECONDS || "900");
+const challengeTtlSeconds = parseInt(
+  process.env.TWO_FACTOR_CHALLENGE_TTL_SECONDS || "300"
+);
+const RECOVERY_CODE_COUNT = 10;
+
+// TOTP secrets have to be readable again to check codes, so they are
+// encrypted (AES-256-GCM) rather than hashed
+const encryptionKey = crypto
+  .createHash("sha256")
+  .update(
+    process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET_KEY || ""
+  )
+  .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted]
+    .map((part) => part.toString("base64"))
+    .join(".");
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored
+    .split(".")
+    .map((part) => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey, iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString(
+    "utf8"
+  );
+};
+
+const normalizeRecoveryCode = (code) =>
+  code.replace(/[\s-]/g, "").toLowerCase();
+
+const secondsUntil = (date) =>
+  Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+const getTwoFactor = (userId) =>
+  prisma.twoFactor.findUnique({ where: { userId } });
+
+export const isTwoFactorEnabled = async (userId) =>
+  Boolean((await getTwoFactor(userId))?.enabledAt);
+
+// Replace the user's recovery codes. The plain codes are only ever returned
+// here, so the user has to store them straight away.
+export const generateRecoveryCodes = async (userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  await prisma.$transaction([
+    prisma.twoFactorRecoveryCode.deleteMany({ where: { userId } }),
+    prisma.twoFactorRecoveryCode.createMany({
+      data: codes.map((code) => ({
+        userId,
+        codeHash: hashToken(normalizeRecoveryCode(code)),
+      })),
+    }),
+  ]);
+
+  return codes;
+};
+
+// Start (or restart) enrollment with a new secret. Returns { secret,
+// otpauthUri } or { error: "enabled" } when 2FA is already on.
+export const startEnrollment = async (user) => {
+  const existing = await getTwoFactor(user.id);
+
+  if (existing?.enabledAt) return { error: "enabled" };
+
+  const secret = generateTotpSecret();
+  const data = {
+    secret: encryptSecret(secret),
+    lastUsedStep: null,
+    failedAttempts: 0,
+    lockedUntil: null,
+  };
+
+  await prisma.twoFactor.upsert({
+    where: { userId: user.id },
+    update: data,
+    create: { ...data, userId: user.id },
+  });
+
+  return { secret, otpauthUri: buildOtpauthUri(secret, user.email, issuer) };
+};
+
+// Lock 2FA once its attempts are used up. Only the request that sees the
+// limit reached sets the lock; the others report the lock already set.
+const lockTwoFactor = async (id) => {
+  const lockedUntil = new Date(Date.now() + lockSeconds * 1000);
+  const locked = await prisma.twoFactor.updateMany({
+    where: { id, failedAttempts: { gte: maxAttempts } },
+    data: { failedAttempts: 0, lockedUntil },
+  });
+
+  if (locked.count === 1)
+    return { error: "locked", retryAfter: lockSeconds, lockout: true };
+
+  const twoFactor = await prisma.twoFactor.findUnique({ where: { id } });
+  return {
+    error: "locked",
+    retryAfter: twoFactor?.lockedUntil
+      ? secondsUntil(twoFactor.lockedUntil)
+      : lockSeconds,
+  };
+};
+
+// Take an attempt before a code is checked, so concurrent guesses cannot get
+// more than maxAttempts tries between two reads of the counter. A correct
+// code resets the counter.
+const claimAttempt = async (twoFactor) => {
+  const now = new Date();
+  const claimed = await prisma.twoFactor.updateMany({
+    where: {
+      id: twoFactor.id,
+      failedAttempts: { lt: maxAttempts },
+      OR: [{ lockedUntil: null }, { lockedUntil: { lte: now } }],
+    },
+    data: { failedAttempts: { increment: 1 } },
+  });
+
+  return claimed.count === 1;
+};
+
+const recordFailure = async (twoFactor) => {
+  const current = await prisma.twoFactor.findUnique({
+    where: { id: twoFactor.id },
+  });
+
+  if (!current) return { error: "not_enabled" };
+  if (current.failedAttempts >= maxAttempts) return lockTwoFactor(current.id);
+
+  return {
+    error: "invalid",
+    attemptsLeft: maxAttempts - current.failedAttempts,
+  };
+};
+
+// Accept a TOTP code once. Saving the step only if it is newer than the last
+// one means two concurrent requests cannot both use the same code.
+const consumeTotp = async (twoFactor, code) => {
+  const step = verifyTotp(
+    decryptSecret(twoFactor.secret),
+    code,
+    twoFactor.lastUsedStep
+  );
+
+  if (step === null) return false;
+
+  const claimed = await prisma.twoFactor.updateMany({
+    where: {
+      id: twoFactor.id,
+      OR: [{ lastUsedStep: null }, { lastUsedStep: { lt: step } }],
+    },
+    data: { lastUsedStep: step },
+  });
+
+  return claimed.count === 1;
+};
+
+const consumeRecoveryCode = async (userId, code) => {
+  const used = await prisma.twoFactorRecoveryCode.updateMany({
+    where: {
+      userId,
+      codeHash: hashToken(normalizeRecoveryCode(code)),
+      usedAt: null,
+    },
+    data: { usedAt: new Date() },
+  });
+
+  return used.count === 1;
+};
+
+// Check a code for a user with 2FA enabled (or, with `pending`, one that is
+// still enrolling). Pass { code } for a TOTP code or { recoveryCode }.
+// Returns { ok: true } or { error: "not_enabled" | "invalid" | "locked", ... }.
+// With `req`, failed attempts and lockouts are written to the audit log.
+export const verifyTwoFactor = async (
+  userId,
+  { code, recoveryCode },
+  { pending = false, req = null } = {}
+) => {
+  const result = await checkTwoFactor(userId, { code, recoveryCode }, pending);
+
+  if (req && (result.error === "invalid" || result.error === "locked")) {
+    const entry = {
+      targetType: "User",
+      targetId: userId,
+      actor: req.user ?? { id: userId },
+      metadata: {
+        factor: recoveryCode ? "recovery_code" : "totp",
+        result: result.error,
+        attemptsLeft: result.attemptsLeft ?? 0,
+        path: req.originalUrl.split("?")[0],
+      },
+    };
+
+    await writeAuditLog(req, { ...entry, action: "two-factor.failed" });
+    if (result.lockout)
+      await writeAuditLog(req, {
+        ...entry,
+        action: "two-factor.lockout",
+        metadata: { ...entry.metadata, lockSeconds },
+      });
+  }
+
+  return result;
+};
+
+const checkTwoFactor = async (userId, { code, recoveryCode }, pending) => {
+  const twoFactor = await getTwoFactor(userId);
+
+  if (!twoFactor || (!pending && !twoFactor.enabledAt)) {
+    return { error: "not_enabled" };
+  }
+
+  if (twoFactor.lockedUntil && twoFactor.lockedUntil > new Date()) {
+    return { error: "locked", retryAfter: secondsUntil(twoFactor.lockedUntil) };
+  }
+
+  if (!(await claimAttempt(twoFactor))) return lockTwoFactor(twoFactor.id);
+
+  const ok = recoveryCode
+    ? twoFactor.enabledAt && (await consumeRecoveryCode(userId, recoveryCode))
+    : await consumeTotp(twoFactor, code);
+
+  if (!ok) return recordFailure(twoFactor);
+
+  await prisma.twoFactor.updateMany({
+    where: { id: twoFactor.id },
+    data: { failedAttempts: 0 },
+  });
+  return { ok: true };
+};
+
+// Finish enrollment with a first code from the authenticator app. Returns
+// { recoveryCodes } or a verifyTwoFactor error.
+export const confirmEnrollment = async (userId, code, req = null) => {
+  const twoFactor = await getTwoFactor(userId);
+
+  if (twoFactor?.enabledAt) return { error: "enabled" };
+
+  const result = await verifyTwoFactor(
+    userId,
+    { code },
+    { pending: true, req }
+  );
+  if (!result.ok) return result;
+
+  await prisma.twoFactor.update({
+    where: { userId },
+    data: { enabledAt: new Date() },
+  });
+
+  return { recoveryCodes: await generateRecoveryCodes(userId) };
+};
+
+export const disableTwoFactor = (userId) =>
+  prisma.$transaction([
+    prisma.twoFactorRecoveryCode.deleteMany({ where: { userId } }),
+    prisma.loginChallenge.deleteMany({ where: { userId } }),
+    prisma.twoFactor.deleteMany({ where: { userId } }),
+  ]);
+
+// Short-lived token handed out by login in place of a session when the user
+// still has to enter a second factor
+export const createLoginChallenge = async (userId) => {
+  const challengeToken = crypto.randomBytes(32).toString("base64url");
+
+  await prisma.loginChallenge.create({
+    data: {
+      userId,
+      tokenHash: hashToken(challengeToken),
+      expiresAt: new Date(Date.now() + challengeTtlSeconds * 1000),
+    },
+  });
+
+  return { challengeToken, expiresIn: challengeTtlSeconds };
+};
+
+export const findLoginChallenge = async (challengeToken) => {
+  const challenge = await prisma.loginChallenge.findUnique({
+    where: { tokenHash: hashToken(challengeToken) },
+    include: { user: true },
+  });
+
+  if (!challenge || challenge.usedAt || challenge.expiresAt < new Date()) {
+    return null;
+  }
+  return challenge;
+};
+
+// Mark the challenge used; false when another request got there first
+export const completeLoginChallenge = async (challenge) => {
+  const claimed = await prisma.loginChallenge.updateMany({
+    where: { id: challenge.id, usedAt: null },
+    data: { usedAt: new Date() },
+  });
+
+  return claimed.count === 1;
+};
+
+// Standard response for a failed verifyTwoFactor / confirmEnrollment result
+export const sendTwoFactorError = (res, result) => {
+  switch (result.error) {
+    case "locked":
+      return res
+        .status(429)
+        .json(
+          new ApiResponse(
+            429,
+            { code: "TWO_FACTOR_LOCKED", retryAfter: result.retryAfter },
+            `Too many attempts. Please try again in ${result.retryAfter} seconds.`
+          )
+        );
+    case "enabled":
+      return res
+        .status(409)
+        .json(
+          new ApiResponse(
+            409,
+            { code: "TWO_FACTOR_ALREADY_ENABLED" },
+            `Two-factor authentication is already enabled`
+          )
+        );
+    case "not_enabled":
+      return res
+        .status(400)
+        .json(
+          new ApiResponse(
+            400,
+            { code: "TWO_FACTOR_NOT_ENABLED" },
+            `Two-factor authentication is not enabled`
+          )
+        );
+    default:
+      return res
+        .status(401)
+        .json(
+          new ApiResponse(
+            401,
+            { code: "TWO_FACTOR_INVALID", attemptsLeft: result.attemptsLeft },
+            `Invalid authentication code`
+          )
+        );
+  }
+};
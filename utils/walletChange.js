@@ -0,0 +1,57 @@
+import prisma from "../DB/config.js";
+import { ApiResponse } from "./ApiResponse.js";
+
+export const OPEN_WALLET_CHANGE_STATUSES = ["pending_signatures", "pending_approval"];
+
+// Point the user's account at the change's new wallet and close the change.
+// Returns { walletChange } or { error: "not_open" | "address_taken" | "stale" }.
+export const applyWalletChange = async (
+  walletChangeId,
+  { method, reviewerId = null, note = null }
+) => {
+  return prisma.$transaction(async (tx) => {
+    const change = await tx.walletChange.findUnique({
+      where: { id: walletChangeId },
+    });
+
+    if (!change || !OPEN_WALLET_CHANGE_STATUSES.includes(change.status))
+      return { error: "not_open" };
+
+    const taken = await tx.user.findFirst({
+      where: { walletAddress: change.toAddress, NOT: { id: change.userId } },
+    });
+    if (taken) return { error: "address_taken" };
+
+    // Only move the wallet the request was made for
+    const moved = await tx.user.updateMany({
+      where: { id: change.userId, walletAddress: change.fromAddress },
+      data: { walletAddress: change.toAddress },
+    });
+    if (moved.count !== 1) return { error: "stale" };
+
+    const walletChange = await tx.walletChange.update({
+      where: { id: change.id },
+      data: {
+        status: "completed",
+        method,
+        reviewerId,
+        reviewNote: note,
+        completedAt: new Date(),
+      },
+    });
+
+    return { walletChange };
+  });
+};
+
+const WALLET_CHANGE_ERRORS = {
+  not_open: [409, `Wallet change is no longer open`],
+  address_taken: [400, `This wallet address is already in use`],
+  stale: [409, `The account's wallet changed since this request was made`],
+};
+
+// Standard response for a failed applyWalletChange result
+export const sendWalletChangeError = (res, result) => {
+  const [status, message] = WALLET_CHANGE_ERRORS[result.error];
+  return res.status(status).json(new ApiResponse(status, {}, message));
+};